@@ -2,9 +2,33 @@
    HAUNTED HOUSE MAZE GAME (Pure JS)
    - ALWAYS connected maze (perfect maze generator)
    - Candy is FAR from start AND FAR from exit
-   - Must collect candy before exit unlocks
+   - Must collect candy before exit unlocks (or 3 candies,
+     key → candy, numbered hearts... see OBJECTIVES)
    - Exciting “game” sound in maze, romantic sound in house
    - Desktop arrows + Mobile on-screen controller (press & hold)
+   - Seeded mazes: ?seed=<code> rebuilds the exact same maze
+   - Pick the generator with ?algo= (backtracker, prim, kruskal, ...)
+   - Difficulty presets (easy → nightmare) size the whole run
+   - Optional haunted mode: monsters move, chase and cost lives
+   - Optional lantern mode: fog of war around the player
+   - Hints flash the next few steps (with a cooldown)
+   - Live timer/moves HUD + scorecard at the house
+   - Local leaderboard (per maze + per difficulty) with a best-time ghost
+   - Creator screen: names, letter and emoji live in one config
+   - Share links (#m=...) carry config + maze, letter optionally encrypted
+   - Themes (Valentine, Halloween, Birthday, Christmas) restyle everything
+   - Wall styles: classic blocks, or thin lines / brick / hedge / haunted wood
+   - Layered rendering: cached static walls, one rAF loop, dirty-region redraws
+   - Camera follows the ribbon on big mazes: wheel/pinch zoom, drag to pan, minimap
+   - One input manager: arrows/WASD/vim + d-pad, remappable keys, repeat rate, diagonal rules
+   - Gamepads: d-pad / left stick to move, A envelope, B restart, X hint, Y sound on/off
+   - Touch gestures: swipe to run to the next junction, tap a cell to walk there
+   - Auto-run mode: one press runs the corridor, stopping at junctions, items and monsters
+   - Runs are saved to localStorage on every step; "Continue" after a reload
+   - Replays: watch a finished run (1×–8×, scrubber, heatmap), export/import as JSON
+   - Music runs on a look-ahead sequencer (audio clock, envelopes, track crossfades)
+   - Adaptive maze music: speeds up near the goal, shifts key once unlocked, tenses near monsters
+   - Synthesised sound effects + a master/music/effects mixer (saved, calm mode for reduced motion)
 ========================================================= */
 
 (() => {
@@ -15,6 +39,16 @@
   const ctx = canvas.getContext("2d");
 
   const soundBtn = document.getElementById("soundBtn");
+  const soundModal = document.getElementById("soundModal");
+  const soundClose = document.getElementById("soundClose");
+  const soundOn = document.getElementById("soundOn");
+  const soundCalm = document.getElementById("soundCalm");
+  const mixerMaster = document.getElementById("mixerMaster");
+  const mixerMasterOut = document.getElementById("mixerMasterOut");
+  const mixerMusic = document.getElementById("mixerMusic");
+  const mixerMusicOut = document.getElementById("mixerMusicOut");
+  const mixerSfx = document.getElementById("mixerSfx");
+  const mixerSfxOut = document.getElementById("mixerSfxOut");
   const sparkleBurst = document.getElementById("sparkleBurst");
   const thanksText = document.getElementById("thanksText");
   const envelopeBtn = document.getElementById("envelopeBtn");
@@ -25,6 +59,89 @@
   const objectivePill = document.getElementById("objectivePill");
   const exitLabel = document.getElementById("exitLabel");
   const toast = document.getElementById("toast");
+  const houseTitle = document.getElementById("houseTitle");
+  const houseSubtitle = document.getElementById("houseSubtitle");
+  const letterTitle = document.getElementById("letterTitle");
+  const letterSign = document.getElementById("letterSign");
+  const movePill = document.getElementById("movePill");
+  const screenCreator = document.getElementById("screen-creator");
+  const createBtn = document.getElementById("createBtn");
+  const creatorForm = document.getElementById("creatorForm");
+  const playerEmojiPicker = document.getElementById("playerEmojiPicker");
+  const itemEmojiPicker = document.getElementById("itemEmojiPicker");
+  const creatorOutput = document.getElementById("creatorOutput");
+  const creatorCopyBtn = document.getElementById("creatorCopyBtn");
+  const creatorLoadBtn = document.getElementById("creatorLoadBtn");
+  const creatorResetBtn = document.getElementById("creatorResetBtn");
+  const creatorCancelBtn = document.getElementById("creatorCancelBtn");
+  const shareBtn = document.getElementById("shareBtn");
+  const sharePassphrase = document.getElementById("sharePassphrase");
+  const shareOutput = document.getElementById("shareOutput");
+  const shareNote = document.getElementById("shareNote");
+  const unlockForm = document.getElementById("unlockForm");
+  const unlockInput = document.getElementById("unlockInput");
+  const unlockError = document.getElementById("unlockError");
+  const seedPill = document.getElementById("seedPill");
+  const sameMazeBtn = document.getElementById("sameMazeBtn");
+  const difficultySelect = document.getElementById("difficultySelect");
+  const wallStyleSelect = document.getElementById("wallStyleSelect");
+  const objectiveSelect = document.getElementById("objectiveSelect");
+  const statsPill = document.getElementById("statsPill");
+  const hauntBtn = document.getElementById("hauntBtn");
+  const livesPill = document.getElementById("livesPill");
+  const fogBtn = document.getElementById("fogBtn");
+  const hintBtn = document.getElementById("hintBtn");
+  const solutionBtn = document.getElementById("solutionBtn");
+  const runPill = document.getElementById("runPill");
+  const scorecard = document.getElementById("scorecard");
+  const scorecardRating = document.getElementById("scorecardRating");
+  const scorecardRecord = document.getElementById("scorecardRecord");
+  const scorecardStats = document.getElementById("scorecardStats");
+  const scorecardBoard = document.getElementById("scorecardBoard");
+  const playerNameInput = document.getElementById("playerName");
+  const boardBtn = document.getElementById("boardBtn");
+  const houseBoardBtn = document.getElementById("houseBoardBtn");
+  const leaderboardModal = document.getElementById("leaderboardModal");
+  const leaderboardTitle = document.getElementById("leaderboardTitle");
+  const leaderboardList = document.getElementById("leaderboardList");
+  const leaderboardClose = document.getElementById("leaderboardClose");
+  const boardTabs = document.querySelectorAll(".board__tab");
+  const resumeModal = document.getElementById("resumeModal");
+  const resumeText = document.getElementById("resumeText");
+  const resumeContinueBtn = document.getElementById("resumeContinueBtn");
+  const resumeFreshBtn = document.getElementById("resumeFreshBtn");
+  const keysBtn = document.getElementById("keysBtn");
+  const keysModal = document.getElementById("keysModal");
+  const keysClose = document.getElementById("keysClose");
+  const keysList = document.getElementById("keysList");
+  const keysDelay = document.getElementById("keysDelay");
+  const keysDelayOut = document.getElementById("keysDelayOut");
+  const keysRepeat = document.getElementById("keysRepeat");
+  const keysRepeatOut = document.getElementById("keysRepeatOut");
+  const keysDiagonal = document.getElementById("keysDiagonal");
+  const keysResetBtn = document.getElementById("keysResetBtn");
+  const keysGestures = document.getElementById("keysGestures");
+  const keysHidePad = document.getElementById("keysHidePad");
+  const keysAutoRun = document.getElementById("keysAutoRun");
+  const replaysBtn = document.getElementById("replaysBtn");
+  const houseReplayBtn = document.getElementById("houseReplayBtn");
+  const replayBar = document.getElementById("replayBar");
+  const replayTitle = document.getElementById("replayTitle");
+  const replayPlayBtn = document.getElementById("replayPlayBtn");
+  const replaySpeedBtn = document.getElementById("replaySpeedBtn");
+  const replayScrub = document.getElementById("replayScrub");
+  const replayTime = document.getElementById("replayTime");
+  const replayHeatBtn = document.getElementById("replayHeatBtn");
+  const replayExportBtn = document.getElementById("replayExportBtn");
+  const replayCloseBtn = document.getElementById("replayCloseBtn");
+  const replayModal = document.getElementById("replayModal");
+  const replayModalClose = document.getElementById("replayModalClose");
+  const replayJson = document.getElementById("replayJson");
+  const replayFile = document.getElementById("replayFile");
+  const replayError = document.getElementById("replayError");
+  const replayCopyBtn = document.getElementById("replayCopyBtn");
+  const replayDownloadBtn = document.getElementById("replayDownloadBtn");
+  const replayWatchBtn = document.getElementById("replayWatchBtn");
 
   // ---------- TOAST ----------
   let toastTimer = null;
@@ -35,62 +152,157 @@
     toastTimer = setTimeout(() => toast.classList.remove("show"), 1400);
   }
 
+  // =========================================================
+  //  SEEDED RANDOM (same code => same maze, every time)
+  //  Maze codes are short base36 strings. Any string works as a
+  //  seed (?seed=for-my-love), it just gets hashed to 32 bits.
+  // =========================================================
+  function hashSeed(str) {
+    // FNV-1a, good enough to spread short strings over 32 bits
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  // mulberry32: tiny, fast, and plenty random for mazes
+  function createRng(seed) {
+    let a = hashSeed(String(seed));
+    return () => {
+      a = (a + 0x6d2b79f5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function newSeed() {
+    return Math.floor(Math.random() * 0xffffffff).toString(36);
+  }
+
+  function seedFromUrl() {
+    const s = new URLSearchParams(location.search).get("seed");
+    return s && s.trim() ? s.trim().slice(0, 32) : null;
+  }
+
+  // everything needed to rebuild this exact maze
+  function writeMazeToUrl(seed) {
+    const url = new URL(location.href);
+    url.searchParams.set("seed", seed);
+    url.searchParams.set("algo", mazeAlgo);
+    url.searchParams.set("difficulty", difficulty);
+    url.searchParams.set("objective", objectiveId);
+    history.replaceState(null, "", url);
+  }
+
+  let mazeSeed = "";
+  let rng = Math.random; // swapped for a seeded one on every (re)generation
+
   // =========================================================
   //  MAZE GENERATION (Perfect maze => always connected)
   //  We'll generate on an odd grid:
   //   - walls everywhere
-  //   - carve passages with DFS backtracker
+  //   - passages ("cells") live on odd x/y
+  //   - a generator knocks out the walls between cells
+  //  Every generator below builds a PERFECT maze (one path between
+  //  any two cells), so the whole grid is always connected.
   // =========================================================
-  // Bigger = harder. Keep odd numbers.
-  const GEN_COLS = 41; // harder
-  const GEN_ROWS = 29; // harder
+  // Bigger = harder. Keep cols/rows odd.
+  //  candyMinDist: candy must be at least this many steps from start AND exit
+  //  exitMinDist:  exit gets moved if it ends up closer than this to the candy
+  //  braid:        share of dead ends knocked open into loops (0..1)
+  //  extraWalls:   junction walls to try adding back (each one is kept
+  //                only if the maze stays fully connected)
+  //  monsters:     how many monsters haunt the maze
+  const DIFFICULTIES = {
+    easy: { label: "Easy", cols: 21, rows: 15, candyMinDist: 12, exitMinDist: 18, braid: 0.35, extraWalls: 20, monsters: 2 },
+    normal: { label: "Normal", cols: 41, rows: 29, candyMinDist: 40, exitMinDist: 60, braid: 0.15, extraWalls: 140, monsters: 6 },
+    hard: { label: "Hard", cols: 51, rows: 37, candyMinDist: 56, exitMinDist: 84, braid: 0.08, extraWalls: 220, monsters: 9 },
+    nightmare: { label: "Nightmare", cols: 61, rows: 45, candyMinDist: 72, exitMinDist: 110, braid: 0.03, extraWalls: 320, monsters: 14 }
+  };
+  const DEFAULT_DIFFICULTY = "normal";
+
+  // pick with ?algo=prim (see MAZE_GENERATORS for the names)
+  const DEFAULT_GENERATOR = "backtracker";
 
   let maze = []; // 1 wall, 0 path
   let rows = 0;
   let cols = 0;
+  let mazeAlgo = DEFAULT_GENERATOR;
+  let difficulty = DEFAULT_DIFFICULTY;
 
-  function generatePerfectMaze(w, h) {
-    // ensure odd
-    if (w % 2 === 0) w += 1;
-    if (h % 2 === 0) h += 1;
+  function preset() {
+    return DIFFICULTIES[difficulty] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+  }
+
+  function difficultyFromUrl() {
+    const d = new URLSearchParams(location.search).get("difficulty");
+    return d && DIFFICULTIES[d] ? d : null;
+  }
+
+  // 2-step moves between neighbouring cells (the wall sits halfway)
+  const CELL_DIRS = [
+    { dx: 2, dy: 0 },
+    { dx: -2, dy: 0 },
+    { dx: 0, dy: 2 },
+    { dx: 0, dy: -2 }
+  ];
+
+  function shuffle(list) {
+    for (let i = list.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [list[i], list[j]] = [list[j], list[i]];
+    }
+    return list;
+  }
+
+  function pick(list) {
+    return list[Math.floor(rng() * list.length)];
+  }
+
+  function solidGrid(w, h) {
+    return Array.from({ length: h }, () => Array(w).fill(1));
+  }
+
+  // all odd (cell) coordinates
+  function gridCells(w, h) {
+    const list = [];
+    for (let y = 1; y < h - 1; y += 2) {
+      for (let x = 1; x < w - 1; x += 2) list.push({ x, y });
+    }
+    return list;
+  }
 
-    const grid = Array.from({ length: h }, () => Array(w).fill(1));
+  function isCell(w, h, x, y) {
+    return x > 0 && y > 0 && x < w - 1 && y < h - 1;
+  }
 
-    // carve at odd cells
-    function carve(x, y) { grid[y][x] = 0; }
-    carve(1, 1);
+  // open a cell, the next one, and the wall between them
+  function carveBetween(grid, a, b) {
+    grid[a.y][a.x] = 0;
+    grid[(a.y + b.y) / 2][(a.x + b.x) / 2] = 0;
+    grid[b.y][b.x] = 0;
+  }
 
+  // ---------- DFS backtracker: long winding corridors ----------
+  function carveBacktracker(w, h) {
+    const grid = solidGrid(w, h);
+    grid[1][1] = 0;
     const stack = [{ x: 1, y: 1 }];
-    const dirs = [
-      { dx: 2, dy: 0 },
-      { dx: -2, dy: 0 },
-      { dx: 0, dy: 2 },
-      { dx: 0, dy: -2 }
-    ];
 
     while (stack.length) {
       const cur = stack[stack.length - 1];
-
-      // shuffle directions for randomness
-      const shuffled = dirs
-        .map(d => ({ d, r: Math.random() }))
-        .sort((a, b) => a.r - b.r)
-        .map(o => o.d);
-
       let carved = false;
 
-      for (const d of shuffled) {
+      for (const d of shuffle(CELL_DIRS.slice())) {
         const nx = cur.x + d.dx;
         const ny = cur.y + d.dy;
-        if (nx <= 0 || ny <= 0 || nx >= w - 1 || ny >= h - 1) continue;
+        if (!isCell(w, h, nx, ny)) continue;
         if (grid[ny][nx] === 0) continue;
 
-        // carve wall between
-        const wx = cur.x + d.dx / 2;
-        const wy = cur.y + d.dy / 2;
-        carve(wx, wy);
-        carve(nx, ny);
-
+        carveBetween(grid, cur, { x: nx, y: ny });
         stack.push({ x: nx, y: ny });
         carved = true;
         break;
@@ -98,27 +310,249 @@
 
       if (!carved) stack.pop();
     }
+    return grid;
+  }
 
-    // thicken some dead ends (harder): add a few extra walls back carefully
-    // (still connected, but more “twists” feel by limiting some straights)
-    // We keep it safe: only add if it doesn't disconnect (skip expensive checks; keep mild).
-    for (let i = 0; i < 140; i++) {
-      const x = 1 + Math.floor(Math.random() * (w - 2));
-      const y = 1 + Math.floor(Math.random() * (h - 2));
-      if (grid[y][x] !== 0) continue;
+  // ---------- Prim: lots of short branches ----------
+  function carvePrim(w, h) {
+    const grid = solidGrid(w, h);
+    const start = pick(gridCells(w, h));
+    grid[start.y][start.x] = 0;
+
+    // frontier = walls between a carved cell and an uncarved one
+    const frontier = [];
+    const addFrontier = (c) => {
+      for (const d of CELL_DIRS) {
+        const nx = c.x + d.dx, ny = c.y + d.dy;
+        if (isCell(w, h, nx, ny) && grid[ny][nx] === 1) frontier.push({ from: c, to: { x: nx, y: ny } });
+      }
+    };
+    addFrontier(start);
+
+    while (frontier.length) {
+      const i = Math.floor(rng() * frontier.length);
+      const { from, to } = frontier[i];
+      frontier[i] = frontier[frontier.length - 1];
+      frontier.pop();
+      if (grid[to.y][to.x] === 0) continue;
+
+      carveBetween(grid, from, to);
+      addFrontier(to);
+    }
+    return grid;
+  }
+
+  // ---------- Kruskal: random walls merged with union-find ----------
+  function carveKruskal(w, h) {
+    const grid = solidGrid(w, h);
+    const parent = new Map();
+    const key = (c) => c.y * w + c.x;
+    const find = (k) => {
+      while (parent.get(k) !== k) {
+        parent.set(k, parent.get(parent.get(k)));
+        k = parent.get(k);
+      }
+      return k;
+    };
+
+    const edges = [];
+    for (const c of gridCells(w, h)) {
+      grid[c.y][c.x] = 0;
+      parent.set(key(c), key(c));
+      if (isCell(w, h, c.x + 2, c.y)) edges.push({ a: c, b: { x: c.x + 2, y: c.y } });
+      if (isCell(w, h, c.x, c.y + 2)) edges.push({ a: c, b: { x: c.x, y: c.y + 2 } });
+    }
+
+    for (const { a, b } of shuffle(edges)) {
+      const ra = find(key(a)), rb = find(key(b));
+      if (ra === rb) continue;
+      parent.set(ra, rb);
+      carveBetween(grid, a, b);
+    }
+    return grid;
+  }
+
+  // ---------- Wilson: loop-erased random walks (unbiased) ----------
+  function carveWilson(w, h) {
+    const grid = solidGrid(w, h);
+    const cells = gridCells(w, h);
+    const inMaze = new Set();
+    const key = (c) => c.y * w + c.x;
+
+    const first = pick(cells);
+    grid[first.y][first.x] = 0;
+    inMaze.add(key(first));
+
+    for (const start of shuffle(cells.slice())) {
+      if (inMaze.has(key(start))) continue;
+
+      // walk until we hit the maze; remembering only the LAST exit
+      // from each cell erases any loops the walk made
+      const exitDir = new Map();
+      let c = start;
+      while (!inMaze.has(key(c))) {
+        const options = CELL_DIRS.filter(d => isCell(w, h, c.x + d.dx, c.y + d.dy));
+        const d = pick(options);
+        exitDir.set(key(c), d);
+        c = { x: c.x + d.dx, y: c.y + d.dy };
+      }
+
+      c = start;
+      while (!inMaze.has(key(c))) {
+        const d = exitDir.get(key(c));
+        const next = { x: c.x + d.dx, y: c.y + d.dy };
+        carveBetween(grid, c, next);
+        inMaze.add(key(c));
+        c = next;
+      }
+    }
+    return grid;
+  }
+
+  // ---------- Eller: one row at a time with set ids ----------
+  function carveEller(w, h) {
+    const grid = solidGrid(w, h);
+    const cw = (w - 1) / 2;
+    const ch = (h - 1) / 2;
+    const gx = (i) => i * 2 + 1;
+
+    let sets = Array.from({ length: cw }, () => 0);
+    let nextSet = 1;
+
+    for (let r = 0; r < ch; r++) {
+      const y = r * 2 + 1;
+      const lastRow = r === ch - 1;
+
+      for (let i = 0; i < cw; i++) {
+        if (!sets[i]) sets[i] = nextSet++;
+        grid[y][gx(i)] = 0;
+      }
+
+      // join neighbours in different sets (always on the last row)
+      for (let i = 0; i < cw - 1; i++) {
+        if (sets[i] === sets[i + 1]) continue;
+        if (!lastRow && rng() < 0.5) continue;
+
+        grid[y][gx(i) + 1] = 0;
+        const from = sets[i + 1];
+        for (let j = 0; j < cw; j++) if (sets[j] === from) sets[j] = sets[i];
+      }
+      if (lastRow) break;
+
+      // every set drops at least one passage to the next row
+      const bySet = new Map();
+      sets.forEach((id, i) => {
+        if (!bySet.has(id)) bySet.set(id, []);
+        bySet.get(id).push(i);
+      });
 
-      // don’t block important corridors too much (only block if many neighbors are open)
-      const openN =
-        (grid[y - 1][x] === 0) +
-        (grid[y + 1][x] === 0) +
-        (grid[y][x - 1] === 0) +
-        (grid[y][x + 1] === 0);
+      const below = Array.from({ length: cw }, () => 0);
+      bySet.forEach((members, id) => {
+        shuffle(members);
+        const drops = 1 + Math.floor(rng() * members.length);
+        for (let k = 0; k < drops; k++) {
+          const i = members[k];
+          grid[y + 1][gx(i)] = 0;
+          below[i] = id;
+        }
+      });
+      sets = below;
+    }
+    return grid;
+  }
+
+  // ---------- Recursive division: long straight walls with gaps ----------
+  function carveDivision(w, h) {
+    const grid = solidGrid(w, h);
+    for (let y = 1; y < h - 1; y++) {
+      for (let x = 1; x < w - 1; x++) grid[y][x] = 0;
+    }
+
+    // chambers are ranges of cell indices (cell i sits at grid 2i+1)
+    const stack = [{ x0: 0, y0: 0, x1: (w - 3) / 2, y1: (h - 3) / 2 }];
+    while (stack.length) {
+      const { x0, y0, x1, y1 } = stack.pop();
+      const cw = x1 - x0 + 1;
+      const ch = y1 - y0 + 1;
+      if (cw < 2 && ch < 2) continue;
+
+      const horizontal = ch > cw || (ch === cw && rng() < 0.5);
+      if (horizontal) {
+        const r = y0 + Math.floor(rng() * (ch - 1)); // wall under cell row r
+        const gap = x0 + Math.floor(rng() * cw);
+        const y = r * 2 + 2;
+        for (let x = x0 * 2 + 1; x <= x1 * 2 + 1; x++) grid[y][x] = 1;
+        grid[y][gap * 2 + 1] = 0;
+        stack.push({ x0, y0, x1, y1: r }, { x0, y0: r + 1, x1, y1 });
+      } else {
+        const c = x0 + Math.floor(rng() * (cw - 1)); // wall right of cell column c
+        const gap = y0 + Math.floor(rng() * ch);
+        const x = c * 2 + 2;
+        for (let y = y0 * 2 + 1; y <= y1 * 2 + 1; y++) grid[y][x] = 1;
+        grid[gap * 2 + 1][x] = 0;
+        stack.push({ x0, y0, x1: c, y1 }, { x0: c + 1, y0, x1, y1 });
+      }
+    }
+    return grid;
+  }
+
+  // ---------- Hunt-and-kill: random walk, then hunt for a new start ----------
+  function carveHuntAndKill(w, h) {
+    const grid = solidGrid(w, h);
+    const cells = gridCells(w, h);
+    let cur = pick(cells);
+    grid[cur.y][cur.x] = 0;
+
+    const neighbours = (c, open) => CELL_DIRS
+      .map(d => ({ x: c.x + d.dx, y: c.y + d.dy }))
+      .filter(n => isCell(w, h, n.x, n.y) && (grid[n.y][n.x] === 0) === open);
+
+    while (cur) {
+      const fresh = neighbours(cur, false);
+      if (fresh.length) {
+        const next = pick(fresh);
+        carveBetween(grid, cur, next);
+        cur = next;
+        continue;
+      }
 
-      // “soft” walling: occasionally reduce big open junctions
-      if (openN >= 3 && Math.random() < 0.25) {
-        grid[y][x] = 1;
+      // hunt: first uncarved cell (scanning rows) that touches the maze
+      cur = null;
+      for (const c of cells) {
+        if (grid[c.y][c.x] === 0) continue;
+        const carved = neighbours(c, true);
+        if (!carved.length) continue;
+        carveBetween(grid, pick(carved), c);
+        cur = c;
+        break;
       }
     }
+    return grid;
+  }
+
+  const MAZE_GENERATORS = {
+    backtracker: carveBacktracker,
+    prim: carvePrim,
+    kruskal: carveKruskal,
+    wilson: carveWilson,
+    eller: carveEller,
+    division: carveDivision,
+    huntkill: carveHuntAndKill
+  };
+
+  function generatorFromUrl() {
+    const a = new URLSearchParams(location.search).get("algo");
+    return a && MAZE_GENERATORS[a] ? a : null;
+  }
+
+  function generatePerfectMaze(w, h, algo = DEFAULT_GENERATOR) {
+    // ensure odd
+    if (w % 2 === 0) w += 1;
+    if (h % 2 === 0) h += 1;
+
+    const grid = (MAZE_GENERATORS[algo] || MAZE_GENERATORS[DEFAULT_GENERATOR])(w, h);
+
+    postProcessMaze(grid, preset());
 
     // ensure borders walls
     for (let x = 0; x < w; x++) {
@@ -133,6 +567,107 @@
     return grid;
   }
 
+  // =========================================================
+  //  POST-PROCESSING (runs after any generator)
+  //   - braid: open up a share of dead ends => loops
+  //   - extra walls: put walls back at junctions, but ONLY keep a
+  //     wall if every passage can still reach every other one
+  //  The whole grid stays one connected region, so start, candy
+  //  and exit are always mutually reachable wherever they land.
+  // =========================================================
+  const STEP_DIRS = [{ dx: 1, dy: 0 }, { dx: -1, dy: 0 }, { dx: 0, dy: 1 }, { dx: 0, dy: -1 }];
+
+  function openNeighbours(grid, x, y) {
+    return STEP_DIRS.filter(d => grid[y + d.dy]?.[x + d.dx] === 0).length;
+  }
+
+  function isConnected(grid) {
+    let total = 0;
+    let first = null;
+    for (let y = 0; y < grid.length; y++) {
+      for (let x = 0; x < grid[0].length; x++) {
+        if (grid[y][x] !== 0) continue;
+        total++;
+        if (!first) first = { x, y };
+      }
+    }
+    if (!first) return true;
+
+    const seen = new Set([first.y * grid[0].length + first.x]);
+    const q = [first];
+    while (q.length) {
+      const c = q.pop();
+      for (const d of STEP_DIRS) {
+        const nx = c.x + d.dx, ny = c.y + d.dy;
+        const k = ny * grid[0].length + nx;
+        if (grid[ny]?.[nx] !== 0 || seen.has(k)) continue;
+        seen.add(k);
+        q.push({ x: nx, y: ny });
+      }
+    }
+    return seen.size === total;
+  }
+
+  function braidDeadEnds(grid, share) {
+    const w = grid[0].length, h = grid.length;
+    const deadEnds = gridCells(w, h).filter(c => grid[c.y][c.x] === 0 && openNeighbours(grid, c.x, c.y) === 1);
+
+    shuffle(deadEnds).slice(0, Math.round(deadEnds.length * share)).forEach(c => {
+      // an earlier knock-out may already have fixed this one
+      if (openNeighbours(grid, c.x, c.y) !== 1) return;
+
+      const options = CELL_DIRS
+        .map(d => ({ x: c.x + d.dx, y: c.y + d.dy }))
+        .filter(n => isCell(w, h, n.x, n.y) && grid[n.y][n.x] === 0 && grid[(c.y + n.y) / 2][(c.x + n.x) / 2] === 1);
+      if (!options.length) return;
+
+      // joining two dead ends removes both at once
+      const deadPartner = options.filter(n => openNeighbours(grid, n.x, n.y) === 1);
+      carveBetween(grid, c, pick(deadPartner.length ? deadPartner : options));
+    });
+  }
+
+  function addSafeWalls(grid, attempts) {
+    const w = grid[0].length, h = grid.length;
+    for (let i = 0; i < attempts; i++) {
+      const x = 1 + Math.floor(rng() * (w - 2));
+      const y = 1 + Math.floor(rng() * (h - 2));
+      if (grid[y][x] !== 0) continue;
+
+      // only trim big open junctions, never plain corridors
+      if (openNeighbours(grid, x, y) < 3) continue;
+
+      grid[y][x] = 1;
+      if (!isConnected(grid)) grid[y][x] = 0;
+    }
+  }
+
+  function postProcessMaze(grid, opts) {
+    if (opts.braid > 0) braidDeadEnds(grid, opts.braid);
+    if (opts.extraWalls > 0) addSafeWalls(grid, opts.extraWalls);
+  }
+
+  // dead ends + independent loops (edges - nodes + 1 for one region)
+  function analyzeMaze(grid) {
+    let nodes = 0, edges = 0, deadEnds = 0;
+    for (let y = 0; y < grid.length; y++) {
+      for (let x = 0; x < grid[0].length; x++) {
+        if (grid[y][x] !== 0) continue;
+        nodes++;
+        if (grid[y][x + 1] === 0) edges++;
+        if (grid[y + 1]?.[x] === 0) edges++;
+        if (openNeighbours(grid, x, y) === 1) deadEnds++;
+      }
+    }
+    return { deadEnds, loops: Math.max(0, edges - nodes + 1) };
+  }
+
+  let mazeStats = { deadEnds: 0, loops: 0 };
+
+  function sameCell(a, b) {
+    return a.x === b.x && a.y === b.y;
+  }
+
   function isWalkable(x, y) {
     if (x < 0 || x >= cols || y < 0 || y >= rows) return false;
     return maze[y][x] === 0;
@@ -160,7 +695,7 @@
   }
 
   // ---------- BFS distance map ----------
-  function bfsDistances(from) {
+  function bfsDistances(from, canEnter = isWalkable) {
     const dist = Array.from({ length: rows }, () => Array(cols).fill(-1));
     const q = [];
     dist[from.y][from.x] = 0;
@@ -172,7 +707,7 @@
       const c = q.shift();
       for (const d of dirs) {
         const nx = c.x + d.dx, ny = c.y + d.dy;
-        if (!isWalkable(nx, ny)) continue;
+        if (!canEnter(nx, ny)) continue;
         if (dist[ny][nx] !== -1) continue;
         dist[ny][nx] = dist[c.y][c.x] + 1;
         q.push({ x: nx, y: ny });
@@ -191,12 +726,49 @@
     return list;
   }
 
-  // ---------- Place start/candy/exit (FAR logic) ----------
+  // =========================================================
+  //  OBJECTIVES
+  //  Everything in `items` must be collected before EXIT unlocks.
+  //  ordered: items must be picked up in list order
+  //  numbered: draw the order number next to each item
+  //  Pick with ?objective=keyCandy or the picker on the maze screen.
+  // =========================================================
+  const OBJECTIVES = {
+    candy: { label: "One candy", items: ["🍬"] },
+    candies: { label: "Three candies", items: ["🍬", "🍬", "🍬"] },
+    keyCandy: { label: "Key, then candy", items: ["🗝️", "🍬"], ordered: true },
+    hearts: { label: "Hearts in order", items: ["💗", "💗", "💗", "💗"], ordered: true, numbered: true }
+  };
+  const DEFAULT_OBJECTIVE = "candy";
+
+  let objectiveId = DEFAULT_OBJECTIVE;
+
+  function objective() {
+    return OBJECTIVES[objectiveId] || OBJECTIVES[DEFAULT_OBJECTIVE];
+  }
+
+  function objectiveFromUrl() {
+    const o = new URLSearchParams(location.search).get("objective");
+    return o && OBJECTIVES[o] ? o : null;
+  }
+
+  // ---------- Place start/items/exit (FAR logic) ----------
   let startCell = { x: 1, y: 1 };
   let exitCell = { x: 1, y: 1 };
-  let candyCell = { x: 1, y: 1 };
+  let items = []; // { x, y, emoji, order, taken }
+
+  function itemAt(x, y) {
+    return items.find(it => !it.taken && it.x === x && it.y === y) || null;
+  }
+
+  // the item you have to grab next (ordered objectives), else null
+  function nextOrderedItem() {
+    return objective().ordered ? items.find(it => !it.taken) || null : null;
+  }
 
   function placeKeyCells() {
+    const { candyMinDist, exitMinDist } = preset();
+
     // Start: bottom-left-ish
     startCell = nearestPassage(1, rows - 2);
 
@@ -209,44 +781,69 @@
 
     const passages = getAllPassages();
 
-    // Candy should be FAR from start AND FAR from exit.
-    // Score = min(distStart, distExit) * 10 + (distStart + distExit)
-    // This strongly pushes it away from both.
-    let best = passages[0];
-    let bestScore = -1;
+    // Items should be FAR from start, FAR from exit AND far from each other.
+    // Greedy: each new item goes where its distance to the nearest of
+    // start/exit/earlier items is largest.
+    // Score = nearest * 10 + (distStart + distExit)
+    // This strongly pushes it away from all of them.
+    const itemDists = [];
+    items = [];
+
+    objective().items.forEach((emoji, order) => {
+      let best = null;
+      let bestScore = -1;
+      let loose = null; // best spot ignoring the distance minimums
+      let looseScore = -1;
 
-    for (const c of passages) {
-      const a = dStart[c.y][c.x];
-      const b = dExit[c.y][c.x];
-      if (a < 0 || b < 0) continue;
+      for (const c of passages) {
+        const a = dStart[c.y][c.x];
+        const b = dExit[c.y][c.x];
+        // unreachable spots never qualify (post-processing keeps these rare → none)
+        if (a < 0 || b < 0) continue;
+        if (items.some(it => it.x === c.x && it.y === c.y)) continue;
+        if (sameCell(c, startCell) || sameCell(c, exitCell)) continue;
+
+        const nearest = Math.min(a, b, ...itemDists.map(d => d[c.y][c.x]));
+
+        // tiny seeded jitter breaks ties between equally far spots
+        const score = nearest * 10 + (a + b) + rng();
+        if (score > looseScore) {
+          looseScore = score;
+          loose = c;
+        }
 
-      // avoid trivial spots too near start or exit
-      if (a < 40) continue;
-      if (b < 40) continue;
+        // avoid trivial spots too near start or exit
+        if (a < candyMinDist) continue;
+        if (b < candyMinDist) continue;
 
-      const score = Math.min(a, b) * 10 + (a + b);
-      if (score > bestScore) {
-        bestScore = score;
-        best = c;
+        if (score > bestScore) {
+          bestScore = score;
+          best = c;
+        }
       }
-    }
 
-    // fallback if maze small (shouldn't happen)
-    candyCell = bestScore >= 0 ? { ...best } : nearestPassage(Math.floor(cols * 0.3), Math.floor(rows * 0.3));
+      // small mazes may have nothing past the minimums: take the farthest reachable spot
+      const cell = best || loose || startCell;
+      // base = the objective's emoji; 🍬 slots show the configured collectible
+      const shown = emoji === "🍬" ? cfg("itemEmoji") : emoji;
+      items.push({ x: cell.x, y: cell.y, emoji: shown, base: emoji, order, taken: false });
+      itemDists.push(bfsDistances(cell));
+    });
 
-    // Ensure exit is far from candy too (for “return far to exit” feel):
-    // If candy ended up too close to exit (rare), move exit to a farthest corner-like passage.
-    const dCandy = bfsDistances(candyCell);
-    if (dCandy[exitCell.y][exitCell.x] < 60) {
-      // pick passage far from candy but still near bottom-right-ish
+    // Ensure exit is far from the items too (for “return far to exit” feel):
+    // If an item ended up too close to exit (rare), move exit to a farthest corner-like passage.
+    const nearestItem = (c) => Math.min(...itemDists.map(d => d[c.y][c.x]));
+    if (nearestItem(exitCell) < exitMinDist) {
+      // pick passage far from the items but still near bottom-right-ish
       let bestExit = exitCell;
       let bestED = -1;
       for (const c of passages) {
-        const dc = dCandy[c.y][c.x];
+        const dc = nearestItem(c);
+        if (dc < 0 || dStart[c.y][c.x] < 0) continue;
         if (dc > bestED) {
           // prefer bottom-right bias without sacrificing distance
           const bias = (c.x / cols) + (c.y / rows);
-          const combined = dc + bias * 15;
+          const combined = dc + bias * 15 + rng() * 0.01;
           if (combined > bestED) {
             bestED = combined;
             bestExit = c;
@@ -258,45 +855,345 @@
   }
 
   // ---------- Monsters decoration ----------
+  // (in haunted mode they also move, see MONSTER AI below)
+  const MONSTER_SAFE_STEPS = 6; // never spawn this close to START
+
   let monsters = [];
   function placeMonsters() {
-    const base = ["👻", "😈", "🕷️", "🧟", "🦇"];
-    const passages = getAllPassages();
+    const kinds = ["ghost", "imp", "spider", "zombie", "bat"];
+    const dStart = bfsDistances(startCell);
+    const passages = getAllPassages().filter(c =>
+      dStart[c.y][c.x] >= MONSTER_SAFE_STEPS &&
+      !sameCell(c, exitCell) &&
+      !items.some(it => sameCell(c, it)));
     monsters = [];
-    for (let i = 0; i < 6; i++) {
-      const c = passages[Math.floor(Math.random() * passages.length)];
-      // avoid key cells
-      if ((c.x === startCell.x && c.y === startCell.y) ||
-        (c.x === exitCell.x && c.y === exitCell.y) ||
-        (c.x === candyCell.x && c.y === candyCell.y)) {
-        i--; continue;
-      }
-      monsters.push({ x: c.x, y: c.y, emoji: base[i % base.length] });
+    const count = Math.min(preset().monsters, passages.length);
+    for (let i = 0; i < count; i++) {
+      // one monster per cell
+      const c = passages.splice(Math.floor(rng() * passages.length), 1)[0];
+      const kind = kinds[i % kinds.length];
+      monsters.push({
+        x: c.x, y: c.y,
+        px: c.x, py: c.y,
+        kind,
+        emoji: theme().emoji[kind],
+        brain: MONSTER_TYPES[kind].brain,
+        dir: null,   // patrol heading / last step
+        anim: null   // { sx, sy, t0 } while sliding between cells
+      });
     }
   }
 
   // ---------- Render sizing ----------
   let cellSize = 18;
-  let offsetX = 0;
+  let offsetX = 0;    // where grid cell 0,0 lands on the canvas (CSS px)
   let offsetY = 0;
+  let viewW = 0;      // canvas size in CSS px
+  let viewH = 0;
+  let fitCell = 18;   // the cell size that shows the whole maze
+  let pixelRatio = 1;
 
   function fitCanvas() {
     const wrapW = canvas.clientWidth;
     const targetW = Math.min(980, wrapW);
-    const targetH = Math.round(targetW * (rows / cols));
+    // big mazes on a phone: don't let the board grow past most of the screen
+    const targetH = Math.min(Math.round(targetW * (rows / cols)), Math.max(240, Math.floor(window.innerHeight * VIEW_MAX_HEIGHT)));
+
+    pixelRatio = Math.max(1, Math.floor(window.devicePixelRatio || 1));
+    canvas.width = Math.floor(targetW * pixelRatio);
+    canvas.height = Math.floor(targetH * pixelRatio);
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    viewW = targetW;
+    viewH = targetH;
+
+    fitCell = Math.max(1, Math.floor(Math.min(targetW / cols, targetH / rows)));
+    applyZoom();
+    invalidateStatic();
+  }
+
+  // =========================================================
+  //  CAMERA
+  //  When the maze fits at a readable size the camera just
+  //  centres it (the classic look). Otherwise cells stay at least
+  //  MIN_CELL px and the view follows the ribbon with a little
+  //  lag. Wheel / pinch zooms, mouse drag / two fingers pan; the
+  //  next move hands the camera back to the ribbon.
+  //  A minimap shows up in the corner whenever part of the maze
+  //  is off screen.
+  // =========================================================
+  const MIN_CELL = 16;          // smallest cell that's still playable on a phone
+  const MAX_CELL = 64;
+  const VIEW_MAX_HEIGHT = 0.72; // of the window
+  const CAMERA_LAG_MS = 140;
+  const ZOOM_STEP = 1.15;
+  const MINIMAP_SIZE = 120;     // CSS px, longest side
+  const MINIMAP_MARGIN = 8;
+
+  // x/y: the cell at the centre of the view; zoom: 1 = default cell size
+  const camera = { x: 0, y: 0, zoom: 1, free: false };
+  let cameraT = 0;
+  let zoomSettleTimer = null;
+
+  function defaultCell() {
+    return Math.min(MAX_CELL, Math.max(fitCell, MIN_CELL));
+  }
+
+  function applyZoom() {
+    const min = fitCell / defaultCell(), max = MAX_CELL / defaultCell();
+    camera.zoom = Math.min(max, Math.max(min, camera.zoom));
+    cellSize = Math.max(1, Math.round(defaultCell() * camera.zoom));
+    clampCamera();
+    placeCamera();
+  }
+
+  // true when the zoom actually changed (not already at a limit)
+  function zoomBy(factor) {
+    const before = camera.zoom;
+    camera.zoom *= factor;
+    applyZoom();
+    requestDraw();
+    // the static layer stretches until the zoom settles, then repaints sharp
+    if (zoomSettleTimer) clearTimeout(zoomSettleTimer);
+    zoomSettleTimer = setTimeout(() => {
+      zoomSettleTimer = null;
+      if (staticCell !== Math.min(cellSize, maxStaticCell())) invalidateStatic();
+    }, 150);
+    return camera.zoom !== before;
+  }
+
+  function panBy(dx, dy) {
+    camera.free = true;
+    camera.x -= dx / cellSize;
+    camera.y -= dy / cellSize;
+    clampCamera();
+    const ox = offsetX, oy = offsetY;
+    placeCamera();
+    scrollView(offsetX - ox, offsetY - oy);
+  }
+
+  function mazeFitsView() {
+    return cols * cellSize <= viewW && rows * cellSize <= viewH;
+  }
+
+  // keep the maze filling the view; centre it on any axis where it fits
+  function clampCamera() {
+    const halfW = viewW / cellSize / 2, halfH = viewH / cellSize / 2;
+    camera.x = cols * cellSize <= viewW ? (cols - 1) / 2 : Math.min(cols - 0.5 - halfW, Math.max(halfW - 0.5, camera.x));
+    camera.y = rows * cellSize <= viewH ? (rows - 1) / 2 : Math.min(rows - 0.5 - halfH, Math.max(halfH - 0.5, camera.y));
+  }
+
+  function placeCamera() {
+    offsetX = Math.round(viewW / 2 - (camera.x + 0.5) * cellSize);
+    offsetY = Math.round(viewH / 2 - (camera.y + 0.5) * cellSize);
+  }
+
+  function resetCamera() {
+    camera.zoom = 1;
+    camera.free = false;
+    camera.x = player.cellX;
+    camera.y = player.cellY;
+  }
+
+  // called by the game loop; a moved view scrolls the last frame (scrollView)
+  function stepCamera(t) {
+    const dt = cameraT ? t - cameraT : 0;
+    cameraT = t;
+    if (camera.free) return;
+
+    const k = 1 - Math.exp(-dt / CAMERA_LAG_MS);
+    camera.x += (player.px - camera.x) * k;
+    camera.y += (player.py - camera.y) * k;
+    if (Math.abs(player.px - camera.x) < 0.01) camera.x = player.px;
+    if (Math.abs(player.py - camera.y) < 0.01) camera.y = player.py;
+    clampCamera();
+
+    const ox = offsetX, oy = offsetY;
+    placeCamera();
+    scrollView(offsetX - ox, offsetY - oy);
+  }
+
+  // cells on screen (plus one for partly visible ones)
+  function visibleCells() {
+    return {
+      x0: Math.max(0, Math.floor(-offsetX / cellSize)),
+      y0: Math.max(0, Math.floor(-offsetY / cellSize)),
+      x1: Math.min(cols - 1, Math.ceil((viewW - offsetX) / cellSize)),
+      y1: Math.min(rows - 1, Math.ceil((viewH - offsetY) / cellSize))
+    };
+  }
+
+  // ---------- Zoom + pan input ----------
+  const pointers = new Map(); // pointerId -> { x, y }
+  let pinch = null;           // { dist, zoom } while two fingers are down
+
+  function pointerSpread() {
+    const [a, b] = [...pointers.values()];
+    return {
+      dist: Math.hypot(a.x - b.x, a.y - b.y),
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2
+    };
+  }
+
+  canvas.addEventListener("pointerdown", (e) => {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    canvas.setPointerCapture?.(e.pointerId);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (pointers.size === 2) pinch = { ...pointerSpread(), zoom: camera.zoom };
+  });
+
+  canvas.addEventListener("pointermove", (e) => {
+    const prev = pointers.get(e.pointerId);
+    if (!prev) return;
+    const next = { x: e.clientX, y: e.clientY };
+    const scale = viewW / (canvas.clientWidth || viewW); // client px → canvas px
+
+    if (pinch && pointers.size === 2) {
+      const before = pointerSpread();
+      pointers.set(e.pointerId, next);
+      const after = pointerSpread();
+      camera.zoom = pinch.zoom * (after.dist / Math.max(1, pinch.dist));
+      zoomBy(1);
+      panBy((after.x - before.x) * scale, (after.y - before.y) * scale);
+      return;
+    }
+
+    pointers.set(e.pointerId, next);
+    // one finger is left for the game; the mouse drags the view
+    if (e.pointerType === "mouse") panBy((next.x - prev.x) * scale, (next.y - prev.y) * scale);
+  });
+
+  const dropPointer = (e) => {
+    pointers.delete(e.pointerId);
+    if (pointers.size < 2) pinch = null;
+  };
+  canvas.addEventListener("pointerup", dropPointer);
+  canvas.addEventListener("pointercancel", dropPointer);
+
+  // at a zoom limit the wheel scrolls the page as usual
+  canvas.addEventListener("wheel", (e) => {
+    if (zoomBy(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP)) e.preventDefault();
+  }, { passive: false });
+
+  // ---------- Layers ----------
+  // The static layer (background, walls, START/EXIT badges) is
+  // painted once into an offscreen canvas and blitted every frame.
+  // It holds the whole maze, not just the view, so following the
+  // ribbon is a plain copy. Only fitCanvas, a settled zoom and a
+  // new maze (or a new look: theme, wall style) throw it away.
+  // Everything that moves is the dynamic layer, repainted by the
+  // game loop (see RENDER LOOP).
+  const MAX_STATIC_PX = 4096; // per side; past that the layer gets stretched
+
+  const staticLayer = document.createElement("canvas");
+  const staticCtx = staticLayer.getContext("2d");
+  const minimapLayer = document.createElement("canvas");
+  const minimapFog = document.createElement("canvas");
+  let staticValid = false;
+  let staticCell = 0;  // cell size the static layer was painted at
+  let minimapCell = 1; // device px per cell on the minimap layers
+
+  function invalidateStatic() {
+    staticValid = false;
+    requestDraw();
+  }
+
+  function maxStaticCell() {
+    return Math.max(1, Math.floor(MAX_STATIC_PX / (Math.max(cols, rows) * pixelRatio)));
+  }
+
+  function paintStatic() {
+    staticCell = Math.min(cellSize, maxStaticCell());
+    staticLayer.width = cols * staticCell * pixelRatio;
+    staticLayer.height = rows * staticCell * pixelRatio;
+    staticCtx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+    // background (white in the classic theme)
+    staticCtx.fillStyle = theme().canvas.background;
+    staticCtx.fillRect(0, 0, cols * staticCell, rows * staticCell);
+
+    drawWalls(staticCtx, staticCell);
+
+    // start/exit badges
+    drawCellBadge(staticCtx, staticCell, startCell.x, startCell.y, "START");
+    drawCellBadge(staticCtx, staticCell, exitCell.x, exitCell.y, "EXIT");
+
+    paintMinimap();
+    staticValid = true;
+  }
+
+  function drawStatic() {
+    ctx.fillStyle = theme().canvas.background;
+    ctx.fillRect(0, 0, viewW, viewH);
+    ctx.drawImage(staticLayer, offsetX, offsetY, cols * cellSize, rows * cellSize);
+  }
+
+  // ---------- Minimap ----------
+  // One pixel block per cell; a second layer darkens the cells the
+  // lantern hasn't reached yet and gets holes punched in as you go.
+  function paintMinimap() {
+    minimapCell = Math.max(1, Math.floor(MINIMAP_SIZE * pixelRatio / Math.max(cols, rows)));
+    const c = minimapLayer.getContext("2d");
+    minimapLayer.width = minimapFog.width = cols * minimapCell;
+    minimapLayer.height = minimapFog.height = rows * minimapCell;
+
+    c.fillStyle = theme().canvas.background;
+    c.fillRect(0, 0, minimapLayer.width, minimapLayer.height);
+    c.fillStyle = theme().canvas.wall;
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        if (maze[y][x] === 1) c.fillRect(x * minimapCell, y * minimapCell, minimapCell, minimapCell);
+      }
+    }
+
+    const f = minimapFog.getContext("2d");
+    f.fillStyle = `rgb(${FOG_COLOR})`;
+    f.fillRect(0, 0, minimapFog.width, minimapFog.height);
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        if (isSeen(x, y)) f.clearRect(x * minimapCell, y * minimapCell, minimapCell, minimapCell);
+      }
+    }
+  }
 
-    const dpr = Math.max(1, Math.floor(window.devicePixelRatio || 1));
-    canvas.width = Math.floor(targetW * dpr);
-    canvas.height = Math.floor(targetH * dpr);
-    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  // fog calls this for every newly seen cell
+  function revealOnMinimap(x, y) {
+    if (!staticValid) return; // the next paintMinimap picks it up
+    minimapFog.getContext("2d").clearRect(x * minimapCell, y * minimapCell, minimapCell, minimapCell);
+  }
+
+  function minimapRect() {
+    const w = cols * minimapCell / pixelRatio, h = rows * minimapCell / pixelRatio;
+    return { x: viewW - w - MINIMAP_MARGIN, y: MINIMAP_MARGIN, w, h };
+  }
 
-    cellSize = Math.floor(Math.min(targetW / cols, targetH / rows));
-    const gridW = cellSize * cols;
-    const gridH = cellSize * rows;
-    offsetX = Math.floor((targetW - gridW) / 2);
-    offsetY = Math.floor((targetH - gridH) / 2);
+  function drawMinimap() {
+    if (mazeFitsView()) return;
+    const r = minimapRect();
+    const s = r.w / cols; // CSS px per cell
 
-    draw();
+    ctx.save();
+    ctx.globalAlpha = 0.88;
+    ctx.drawImage(minimapLayer, r.x, r.y, r.w, r.h);
+    if (fogEnabled) ctx.drawImage(minimapFog, r.x, r.y, r.w, r.h);
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = theme().canvas.wall;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(r.x - 1, r.y - 1, r.w + 2, r.h + 2);
+
+    // the part of the maze on screen
+    ctx.strokeStyle = `rgb(${theme().canvas.glow})`;
+    ctx.strokeRect(r.x - offsetX / cellSize * s, r.y - offsetY / cellSize * s, viewW / cellSize * s, viewH / cellSize * s);
+
+    const dot = (x, y, color) => {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(r.x + (x + 0.5) * s, r.y + (y + 0.5) * s, Math.max(2, s * 0.9), 0, Math.PI * 2);
+      ctx.fill();
+    };
+    if (!fogEnabled || isSeen(exitCell.x, exitCell.y)) dot(exitCell.x, exitCell.y, player.unlocked ? "#2ecc71" : "#888");
+    dot(player.px, player.py, `rgb(${theme().canvas.glow})`);
+    ctx.restore();
   }
 
   // ---------- Player ----------
@@ -304,49 +1201,75 @@
     cellX: 1, cellY: 1,
     px: 1, py: 1,
     moving: false,
-    hasCandy: false
+    anim: null,      // { sx, sy, t0 } while sliding between cells
+    inventory: [],   // emoji collected so far, in pickup order
+    unlocked: false  // every item collected => EXIT open
   };
 
   let gameFinished = false;
 
   // ---------- UI states ----------
+  function objectiveText() {
+    const total = items.length;
+    const got = player.inventory.length;
+    if (objectiveId === "candy") return `Find the ${itemLabel()} (far away) to unlock EXIT`;
+
+    const bag = got ? ` · ${player.inventory.join("")}` : "";
+    const next = nextOrderedItem();
+    if (next) return `Next: ${next.emoji}${objective().numbered ? ` #${next.order + 1}` : ""} (${got}/${total}) to unlock EXIT${bag}`;
+    return `Collect ${objective().items[0]} ${got}/${total} to unlock EXIT${bag}`;
+  }
+
+  function lockedExitText() {
+    if (objectiveId === "candy") return `Find the ${itemLabel()} first!`;
+    const left = items.filter(it => !it.taken).map(it => it.emoji).join("");
+    return `Still locked: collect ${left} first!`;
+  }
+
+  function resetInventory() {
+    player.inventory = [];
+    player.unlocked = false;
+    items.forEach(it => { it.taken = false; });
+  }
+
   function updateExitUI() {
-    if (!player.hasCandy) {
+    if (!player.unlocked) {
       exitLabel.classList.add("locked");
       exitLabel.classList.remove("unlocked");
-      objectivePill.textContent = "Find the candy 🍬 (far away) to unlock EXIT";
+      objectivePill.textContent = objectiveText();
     } else {
       exitLabel.classList.remove("locked");
       exitLabel.classList.add("unlocked");
-      objectivePill.textContent = "EXIT unlocked ✅ Go to Elijah’s House 🏚️";
+      objectivePill.textContent = `EXIT unlocked ✅ Go to ${cfg("houseName")} ${theme().emoji.goal}`;
     }
   }
 
   // ---------- Drawing ----------
-  function drawCellBadge(x, y, text) {
-    const px = x * cellSize;
-    const py = y * cellSize;
-
-    ctx.save();
-    const pad = Math.max(2, Math.floor(cellSize * 0.10));
-    const w = cellSize - pad * 2;
-    const h = Math.floor(cellSize * 0.58);
+  function drawCellBadge(c, cell, x, y, text) {
+    const px = x * cell;
+    const py = y * cell;
+
+    c.save();
+    const pad = Math.max(2, Math.floor(cell * 0.10));
+    const w = cell - pad * 2;
+    const h = Math.floor(cell * 0.58);
     const bx = px + pad;
-    const by = py + (cellSize - h) / 2;
-
-    ctx.fillStyle = "#fff";
-    ctx.strokeStyle = "#000";
-    ctx.lineWidth = Math.max(1, Math.floor(cellSize * 0.06));
-    roundRect(ctx, bx, by, w, h, Math.floor(h * 0.35));
-    ctx.fill();
-    ctx.stroke();
-
-    ctx.fillStyle = "#000";
-    ctx.font = `900 ${Math.floor(cellSize * 0.24)}px ui-sans-serif, system-ui`;
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-    ctx.fillText(text, px + cellSize / 2, py + cellSize / 2);
-    ctx.restore();
+    const by = py + (cell - h) / 2;
+
+    const pal = theme().canvas;
+    c.fillStyle = pal.badgeFill;
+    c.strokeStyle = pal.badgeStroke;
+    c.lineWidth = Math.max(1, Math.floor(cell * 0.06));
+    roundRect(c, bx, by, w, h, Math.floor(h * 0.35));
+    c.fill();
+    c.stroke();
+
+    c.fillStyle = pal.badgeText;
+    c.font = `900 ${Math.floor(cell * 0.24)}px ui-sans-serif, system-ui`;
+    c.textAlign = "center";
+    c.textBaseline = "middle";
+    c.fillText(text, px + cell / 2, py + cell / 2);
+    c.restore();
   }
 
   function drawEmojiAtCell(x, y, emoji, scale = 1) {
@@ -367,7 +1290,7 @@
     ctx.font = `800 ${Math.max(10, Math.floor(cellSize * 0.18))}px ui-sans-serif, system-ui`;
     ctx.textAlign = "center";
     ctx.textBaseline = "middle";
-    ctx.fillStyle = "#000";
+    ctx.fillStyle = theme().canvas.label;
     ctx.globalAlpha = 0.9;
     ctx.fillText(text, cx, cy);
     ctx.restore();
@@ -378,9 +1301,10 @@
     const cy = y * cellSize + cellSize / 2;
     ctx.save();
     ctx.globalAlpha = 0.35;
-    ctx.shadowColor = "rgba(255,79,184,0.65)";
+    const glow = theme().canvas.glow;
+    ctx.shadowColor = `rgba(${glow},0.65)`;
     ctx.shadowBlur = 30;
-    ctx.fillStyle = "rgba(255,79,184,0.22)";
+    ctx.fillStyle = `rgba(${glow},0.22)`;
     ctx.beginPath();
     ctx.arc(cx, cy, Math.floor(cellSize * 0.95), 0, Math.PI * 2);
     ctx.fill();
@@ -396,20 +1320,99 @@
 
     ctx.save();
     const glowAlpha = nearExit ? 0.65 : 0.35;
-    ctx.shadowColor = `rgba(255,79,184,${glowAlpha})`;
+    ctx.shadowColor = `rgba(${theme().canvas.glow},${glowAlpha})`;
     ctx.shadowBlur = nearExit ? 30 : 18;
 
     ctx.font = `${Math.floor(size * bounce)}px "Apple Color Emoji","Segoe UI Emoji"`;
     ctx.textAlign = "center";
     ctx.textBaseline = "middle";
-    ctx.fillText("🎀", cx, cy);
+    ctx.fillText(cfg("playerEmoji"), cx, cy);
     ctx.restore();
   }
 
-  function roundRect(c, x, y, w, h, r) {
-    const radius = Math.min(r, w / 2, h / 2);
-    c.beginPath();
-    c.moveTo(x + radius, y);
+  // ---------- Wall textures ----------
+  // One tile per theme + cell size, repeated over every wall cell.
+  let wallPattern = null;
+  let wallPatternKey = "";
+
+  function wallFill(cell) {
+    const t = theme();
+    if (t.walls === "solid") return t.canvas.wall;
+
+    if (t.walls === "brick") return brickPattern(cell);
+
+    const key = `${config.theme}:${cell}`;
+    if (wallPattern && wallPatternKey === key) return wallPattern;
+
+    const size = Math.max(4, cell * 2);
+    const tile = document.createElement("canvas");
+    tile.width = tile.height = size;
+    const c = tile.getContext("2d");
+    c.fillStyle = t.canvas.wall;
+    c.fillRect(0, 0, size, size);
+    c.strokeStyle = c.fillStyle = t.canvas.detail;
+    c.lineWidth = Math.max(1, size / 24);
+
+    if (t.walls === "stripes") {
+      // candy cane diagonals
+      c.lineWidth = size / 8;
+      for (let i = -size; i <= size * 2; i += size / 2) {
+        c.beginPath();
+        c.moveTo(i, 0); c.lineTo(i - size, size);
+        c.stroke();
+      }
+    } else if (t.walls === "confetti") {
+      const colors = [t.canvas.detail, "#ff6b9a", "#40c4ff", "#7bd88f"];
+      const bit = Math.max(1, size / 10);
+      for (let i = 0; i < 8; i++) {
+        c.fillStyle = colors[i % colors.length];
+        // fixed spots so the tile looks the same every build
+        c.fillRect(((i * 37) % 100) / 100 * size, ((i * 61 + 13) % 100) / 100 * size, bit, bit * 0.6);
+      }
+    }
+
+    wallPattern = c.createPattern(tile, "repeat") || t.canvas.wall;
+    wallPatternKey = key;
+    return wallPattern;
+  }
+
+  // the one brick texture: theme wall colour with detail-coloured mortar,
+  // every other row offset by half a brick. used by the "brick" theme
+  // texture and the brick wall style alike.
+  let brickTile = null;
+  let brickTileKey = "";
+
+  function brickPattern(cell) {
+    const t = theme();
+    const key = `${config.theme}:${cell}`;
+    if (brickTile && brickTileKey === key) return brickTile;
+
+    const size = Math.max(4, cell * 2);
+    const tile = document.createElement("canvas");
+    tile.width = tile.height = size;
+    const c = tile.getContext("2d");
+    c.fillStyle = t.canvas.wall;
+    c.fillRect(0, 0, size, size);
+    c.strokeStyle = t.canvas.detail;
+    c.lineWidth = Math.max(1, size / 24);
+    const bh = size / 4;
+    for (let r = 0; r < 4; r++) {
+      c.beginPath();
+      c.moveTo(0, r * bh); c.lineTo(size, r * bh);
+      const off = r % 2 ? size / 4 : 0;
+      for (let x = off; x < size; x += size / 2) { c.moveTo(x, r * bh); c.lineTo(x, (r + 1) * bh); }
+      c.stroke();
+    }
+
+    brickTile = c.createPattern(tile, "repeat") || t.canvas.wall;
+    brickTileKey = key;
+    return brickTile;
+  }
+
+  function roundRect(c, x, y, w, h, r) {
+    const radius = Math.min(r, w / 2, h / 2);
+    c.beginPath();
+    c.moveTo(x + radius, y);
     c.arcTo(x + w, y, x + w, y + h, radius);
     c.arcTo(x + w, y + h, x, y + h, radius);
     c.arcTo(x, y + h, x, y, radius);
@@ -422,71 +1425,711 @@
     return Math.sqrt(dx * dx + dy * dy);
   }
 
-  function draw() {
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+  // =========================================================
+  //  FOG OF WAR (lantern mode)
+  //  Only cells within FOG_RADIUS of the ribbon are lit. With line
+  //  of sight on, light doesn't pass through walls either. Cells
+  //  you've lit before stay dimly remembered; items show up once
+  //  seen, monsters only while they're in the light.
+  // =========================================================
+  const FOG_RADIUS = 4.5;
+  const FOG_EDGE = 1.5;          // soft falloff at the rim of the light
+  const FOG_REMEMBERED = 0.6;    // how dark remembered cells stay
+  const FOG_COLOR = "11,11,16";  // matches --bg
+
+  let fogEnabled = new URLSearchParams(location.search).get("fog") === "1";
+  let fogLineOfSight = new URLSearchParams(location.search).get("los") !== "0";
+  let seenCells = [];      // rows × cols booleans, remembered
+  let litCells = new Set(); // "x,y" lit from the player's current cell
+  let litFrom = null;
+
+  function resetFog() {
+    seenCells = Array.from({ length: rows }, () => Array(cols).fill(false));
+    litFrom = null;
+    updateFog();
+  }
+
+  // walk the grid line between two cells; walls block, the target itself may be one
+  function hasLineOfSight(x0, y0, x1, y1) {
+    let dx = Math.abs(x1 - x0), dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1, sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+    let x = x0, y = y0;
+    while (x !== x1 || y !== y1) {
+      if ((x !== x0 || y !== y0) && !isWalkable(x, y)) return false;
+      const e2 = 2 * err;
+      if (e2 >= dy) { err += dy; x += sx; }
+      if (e2 <= dx) { err += dx; y += sy; }
+    }
+    return true;
+  }
+
+  // recompute the lit set when the player reaches a new cell
+  function updateFog() {
+    const px = player.cellX, py = player.cellY;
+    if (litFrom && litFrom.x === px && litFrom.y === py) return;
+    litFrom = { x: px, y: py };
+    litCells = new Set();
+
+    const r = Math.ceil(FOG_RADIUS);
+    for (let y = py - r; y <= py + r; y++) {
+      for (let x = px - r; x <= px + r; x++) {
+        if (x < 0 || y < 0 || x >= cols || y >= rows) continue;
+        if (dist(px, py, x, y) > FOG_RADIUS) continue;
+        if (fogLineOfSight && !hasLineOfSight(px, py, x, y)) continue;
+        litCells.add(`${x},${y}`);
+        if (!seenCells[y][x]) revealOnMinimap(x, y);
+        seenCells[y][x] = true;
+      }
+    }
+  }
+
+  function isLit(x, y) {
+    return litCells.has(`${x},${y}`);
+  }
+
+  function isSeen(x, y) {
+    return !!seenCells[y]?.[x];
+  }
 
-    // background white
+  function drawFog() {
+    const { x0, y0, x1, y1 } = visibleCells();
     ctx.save();
-    ctx.fillStyle = "#fff";
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const memory = isSeen(x, y) ? FOG_REMEMBERED : 1;
+        let alpha = memory;
+        if (isLit(x, y)) {
+          // fade out towards the rim, measured from the sliding ribbon
+          const d = dist(player.px, player.py, x, y);
+          alpha = memory * Math.min(1, Math.max(0, (d - (FOG_RADIUS - FOG_EDGE)) / FOG_EDGE));
+        }
+        if (alpha <= 0) continue;
+        ctx.fillStyle = `rgba(${FOG_COLOR},${alpha})`;
+        ctx.fillRect(x * cellSize, y * cellSize, cellSize, cellSize);
+      }
+    }
     ctx.restore();
+  }
 
+  function updateFogBtn() {
+    fogBtn.textContent = fogEnabled ? "🏮 Lantern" : "💡 Lights on";
+    fogBtn.setAttribute("aria-pressed", String(fogEnabled));
+  }
+
+  fogBtn.addEventListener("click", () => {
+    fogBtn.blur();
+    // replays show the whole maze; the run's own setting comes back after
+    if (replay) {
+      showToast("The lights stay on during a replay 📼");
+      return;
+    }
+    fogEnabled = !fogEnabled;
+    updateFogBtn();
+    showToast(fogEnabled ? "Lights out 🏮 Only your lantern helps now" : "Lights on 💡");
+    litFrom = null; // we walked with the lights on: relight around where we are now
+    if (fogEnabled) updateFog();
+    requestDraw();
+  });
+
+  // =========================================================
+  //  HINTS
+  //  "Hint" flashes the next HINT_STEPS cells toward the current
+  //  goal (next item, or EXIT once unlocked). Hints have a
+  //  cooldown and every one used is counted against the score.
+  //  ?debug=1 adds a "Solution" toggle that draws the whole route.
+  // =========================================================
+  const HINT_STEPS = 8;
+  const HINT_SHOW_MS = 2600;
+  const HINT_FADE_MS = 400;
+  const HINT_COOLDOWN_MS = 8000;
+
+  const debugMode = new URLSearchParams(location.search).get("debug") === "1";
+
+  let hint = null; // { path, t0 }
+  let hintsUsed = 0;
+  let hintReadyAt = 0;
+  let hintCooldownTimer = null;
+  let showSolution = false;
+
+  // cells from `from` (exclusive) to `to` (inclusive) along a shortest route
+  function shortestPath(from, to, canEnter = isWalkable) {
+    const d = bfsDistances(to, canEnter);
+    if (d[from.y][from.x] < 0) return [];
+
+    const path = [];
+    let c = { x: from.x, y: from.y };
+    while (d[c.y][c.x] > 0) {
+      const step = STEP_DIRS
+        .map(s => ({ x: c.x + s.dx, y: c.y + s.dy }))
+        .find(n => canEnter(n.x, n.y) && d[n.y][n.x] === d[c.y][c.x] - 1);
+      if (!step) break;
+      path.push(step);
+      c = step;
+    }
+    return path;
+  }
+
+  // next goal from a cell, given which items are still out there
+  function goalFrom(from, remaining) {
+    if (!remaining.length) return exitCell;
+    if (objective().ordered) return remaining[0];
+
+    const d = bfsDistances(from);
+    return remaining.reduce((best, it) => (d[it.y][it.x] < d[best.y][best.x] ? it : best));
+  }
+
+  function currentGoal() {
+    return goalFrom({ x: player.cellX, y: player.cellY }, items.filter(it => !it.taken));
+  }
+
+  // start → every item (ordered, or nearest-first) → exit; it's drawn
+  // every frame while shown, so it's worked out once per maze
+  let solutionCache = null; // { maze, items, exit, path }
+
+  function solutionPath() {
+    const c = solutionCache;
+    if (c && c.maze === maze && c.items === items && c.exit === exitCell) return c.path;
+    solutionCache = { maze, items, exit: exitCell, path: findSolutionPath() };
+    return solutionCache.path;
+  }
+
+  function findSolutionPath() {
+    const remaining = items.slice();
+    let at = startCell;
+    const path = [];
+    for (;;) {
+      const goal = goalFrom(at, remaining);
+      path.push(...shortestPath(at, goal));
+      if (goal === exitCell) return path;
+      remaining.splice(remaining.indexOf(goal), 1);
+      at = goal;
+    }
+  }
+
+  function requestHint() {
+    if (gameFinished || replay) return;
+    const now = performance.now();
+    if (now < hintReadyAt) {
+      showToast(`Hint recharging… ${Math.ceil((hintReadyAt - now) / 1000)}s`);
+      return;
+    }
+
+    const path = shortestPath({ x: player.cellX, y: player.cellY }, currentGoal()).slice(0, HINT_STEPS);
+    if (!path.length) return;
+
+    hint = { path, t0: now };
+    hintsUsed++;
+    hintReadyAt = now + HINT_COOLDOWN_MS;
+    updateHintBtn();
+    requestDraw();
+    runHintCooldown();
+  }
+
+  function hintAlpha(t) {
+    const age = t - hint.t0;
+    if (age < HINT_FADE_MS) return age / HINT_FADE_MS;
+    if (age > HINT_SHOW_MS - HINT_FADE_MS) return Math.max(0, (HINT_SHOW_MS - age) / HINT_FADE_MS);
+    return 1;
+  }
+
+  // called by the game loop every frame; the fade touches the whole path
+  function stepHint(t) {
+    if (!hint) return;
+    if (t - hint.t0 >= HINT_SHOW_MS) hint = null;
+    requestDraw();
+  }
+
+  function drawPath(path, alpha, color) {
     ctx.save();
-    ctx.translate(offsetX, offsetY);
+    ctx.globalAlpha = alpha;
+    ctx.fillStyle = color;
+    path.forEach(c => {
+      ctx.beginPath();
+      ctx.arc(c.x * cellSize + cellSize / 2, c.y * cellSize + cellSize / 2, Math.max(2, cellSize * 0.16), 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.restore();
+  }
+
+  function drawHint() {
+    const alpha = hintAlpha(performance.now());
+    // steps get fainter the further ahead they are
+    hint.path.forEach((c, i) => drawPath([c], alpha * (1 - i / (hint.path.length + 2)), `rgb(${theme().canvas.glow})`));
+  }
+
+  function runHintCooldown() {
+    if (hintCooldownTimer) clearInterval(hintCooldownTimer);
+    hintCooldownTimer = setInterval(() => {
+      updateHintBtn();
+      if (performance.now() >= hintReadyAt) {
+        clearInterval(hintCooldownTimer);
+        hintCooldownTimer = null;
+      }
+    }, 250);
+  }
+
+  function resetHints() {
+    hint = null;
+    hintsUsed = 0;
+    hintReadyAt = 0;
+    if (hintCooldownTimer) clearInterval(hintCooldownTimer);
+    hintCooldownTimer = null;
+    updateHintBtn();
+  }
+
+  function updateHintBtn() {
+    const wait = Math.ceil((hintReadyAt - performance.now()) / 1000);
+    const used = hintsUsed ? ` (${hintsUsed})` : "";
+    hintBtn.textContent = wait > 0 ? `⏳ ${wait}s${used}` : `💡 Hint${used}`;
+    hintBtn.disabled = wait > 0;
+  }
+
+  hintBtn.addEventListener("click", () => {
+    unlockAudioOnce();
+    requestHint();
+    hintBtn.blur();
+  });
+
+  solutionBtn.hidden = !debugMode;
+  solutionBtn.addEventListener("click", () => {
+    showSolution = !showSolution;
+    solutionBtn.setAttribute("aria-pressed", String(showSolution));
+    requestDraw();
+    solutionBtn.blur();
+  });
 
-    // walls (black)
+  // =========================================================
+  //  WALL STYLES
+  //  "blocks" paints every wall cell as a full square (the classic
+  //  look). The other styles treat wall cells as the joints of a
+  //  wire frame instead: runs of neighbouring wall cells become
+  //  thin rounded segments through their centres, so corridors
+  //  read twice as wide as the walls. Only the picture changes,
+  //  the grid (and isWalkable) stays the same.
+  //  Pick one in the topbar or with ?walls=hedge.
+  // =========================================================
+  const WALL_STYLES = {
+    blocks: { label: "Blocks" },
+    lines: { label: "Lines", width: 0.3 },
+    brick: { label: "Brick", width: 0.42 },
+    hedge: { label: "Hedge", width: 0.5 },
+    wood: { label: "Haunted wood", width: 0.34 }
+  };
+  const DEFAULT_WALL_STYLE = "blocks";
+
+  function wallStyleFromUrl() {
+    const id = new URLSearchParams(location.search).get("walls");
+    return WALL_STYLES[id] ? id : DEFAULT_WALL_STYLE;
+  }
+
+  let wallStyle = wallStyleFromUrl();
+
+  function setWallStyle(id) {
+    wallStyle = WALL_STYLES[id] ? id : DEFAULT_WALL_STYLE;
+    const url = new URL(location.href);
+    if (wallStyle === DEFAULT_WALL_STYLE) url.searchParams.delete("walls");
+    else url.searchParams.set("walls", wallStyle);
+    history.replaceState(null, "", url);
+    invalidateStatic();
+  }
+
+  // ---------- Segments ----------
+  // Maximal horizontal + vertical runs of wall cells, plus lone
+  // posts that touch no other wall. Cached per maze.
+  let wallSegs = null;
+  let wallSegsFor = null;
+
+  function wallSegments() {
+    if (wallSegsFor === maze) return wallSegs;
+    const segs = [];
+    const posts = [];
+    const inRun = Array.from({ length: rows }, () => Array(cols).fill(false));
+
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        if (maze[y][x] !== 1 || (x > 0 && maze[y][x - 1] === 1)) continue;
+        let x2 = x;
+        while (x2 + 1 < cols && maze[y][x2 + 1] === 1) x2++;
+        if (x2 === x) continue;
+        segs.push({ x1: x, y1: y, x2, y2: y });
+        for (let i = x; i <= x2; i++) inRun[y][i] = true;
+      }
+    }
+    for (let x = 0; x < cols; x++) {
+      for (let y = 0; y < rows; y++) {
+        if (maze[y][x] !== 1 || (y > 0 && maze[y - 1][x] === 1)) continue;
+        let y2 = y;
+        while (y2 + 1 < rows && maze[y2 + 1][x] === 1) y2++;
+        if (y2 === y) continue;
+        segs.push({ x1: x, y1: y, x2: x, y2 });
+        for (let i = y; i <= y2; i++) inRun[i][x] = true;
+      }
+    }
     for (let y = 0; y < rows; y++) {
       for (let x = 0; x < cols; x++) {
-        if (maze[y][x] === 1) {
-          ctx.fillStyle = "#000";
-          ctx.fillRect(x * cellSize, y * cellSize, cellSize, cellSize);
+        if (maze[y][x] === 1 && !inRun[y][x]) posts.push({ x, y });
+      }
+    }
+
+    wallSegs = { segs, posts };
+    wallSegsFor = maze;
+    return wallSegs;
+  }
+
+  // stable 0..1 noise per spot, so textures don't shimmer between frames
+  function wallNoise(x, y, salt) {
+    return hashSeed(`${x},${y},${salt}`) / 4294967296;
+  }
+
+  // ---------- Drawing ----------
+  function drawWalls(c, cell) {
+    if (wallStyle === "blocks") {
+      // black, or the theme's texture
+      c.fillStyle = wallFill(cell);
+      for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+          if (maze[y][x] === 1) c.fillRect(x * cell, y * cell, cell, cell);
         }
       }
+      return;
     }
 
-    // start/exit badges
-    drawCellBadge(startCell.x, startCell.y, "START");
-    drawCellBadge(exitCell.x, exitCell.y, "EXIT");
+    const { segs, posts } = wallSegments();
+    const w = Math.max(2, cell * WALL_STYLES[wallStyle].width);
+    const mid = i => (i + 0.5) * cell;
+
+    c.save();
+    c.lineCap = "round";
+    c.lineJoin = "round";
+    if (wallStyle === "lines") strokeWalls(c, cell, segs, posts, w, theme().canvas.wall);
+    else if (wallStyle === "brick") drawBrickWalls(c, cell, segs, posts, w);
+    else if (wallStyle === "hedge") drawHedgeWalls(c, cell, segs, posts, w, mid);
+    else if (wallStyle === "wood") drawWoodWalls(c, cell, segs, posts, w, mid);
+    c.restore();
+  }
+
+  function strokeWalls(c, cell, segs, posts, w, color) {
+    c.strokeStyle = color;
+    c.lineWidth = w;
+    c.beginPath();
+    segs.forEach(s => {
+      c.moveTo((s.x1 + 0.5) * cell, (s.y1 + 0.5) * cell);
+      c.lineTo((s.x2 + 0.5) * cell, (s.y2 + 0.5) * cell);
+    });
+    posts.forEach(p => {
+      // a zero-length round-capped line is a dot
+      c.moveTo((p.x + 0.5) * cell, (p.y + 0.5) * cell);
+      c.lineTo((p.x + 0.5) * cell + 0.01, (p.y + 0.5) * cell);
+    });
+    c.stroke();
+  }
+
+  // outlined runs filled with the shared brick texture
+  function drawBrickWalls(c, cell, segs, posts, w) {
+    strokeWalls(c, cell, segs, posts, w + 2, theme().canvas.wall);
+    strokeWalls(c, cell, segs, posts, w, brickPattern(cell));
+  }
+
+  // dark outline, then clumps of leaves scattered along every run
+  function drawHedgeWalls(c, cell, segs, posts, w, mid) {
+    const pal = theme().canvas;
+    strokeWalls(c, cell, segs, posts, w, pal.wall);
+
+    const r = w * 0.32;
+    const step = Math.max(3, r * 1.2);
+    c.fillStyle = pal.detail;
+    c.beginPath();
+    const leaf = (x, y) => { c.moveTo(x + r, y); c.arc(x, y, r, 0, Math.PI * 2); };
+    segs.forEach((s, i) => {
+      const x1 = mid(s.x1), y1 = mid(s.y1), x2 = mid(s.x2), y2 = mid(s.y2);
+      const len = Math.hypot(x2 - x1, y2 - y1);
+      for (let d = 0, k = 0; d <= len; d += step, k++) {
+        const t = d / len;
+        const jx = (wallNoise(i, k, "hx") - 0.5) * w * 0.35;
+        const jy = (wallNoise(i, k, "hy") - 0.5) * w * 0.35;
+        leaf(x1 + (x2 - x1) * t + jx, y1 + (y2 - y1) * t + jy);
+      }
+    });
+    posts.forEach(p => leaf(mid(p.x), mid(p.y)));
+    c.fill();
+
+    // a few lighter leaves on top so it doesn't look flat
+    c.fillStyle = `rgba(${pal.glow},0.7)`;
+    c.beginPath();
+    segs.forEach((s, i) => {
+      const x1 = mid(s.x1), y1 = mid(s.y1), x2 = mid(s.x2), y2 = mid(s.y2);
+      const len = Math.hypot(x2 - x1, y2 - y1);
+      for (let d = step / 2, k = 0; d < len; d += step * 2, k++) {
+        if (wallNoise(i, k, "hl") < 0.5) continue;
+        const t = d / len;
+        const x = x1 + (x2 - x1) * t, y = y1 + (y2 - y1) * t - w * 0.12;
+        c.moveTo(x + r * 0.45, y);
+        c.arc(x, y, r * 0.45, 0, Math.PI * 2);
+      }
+    });
+    c.fill();
+  }
+
+  // crooked planks: each run wobbles a little, with grain + the odd knot
+  function drawWoodWalls(c, cell, segs, posts, w, mid) {
+    const pal = theme().canvas;
+    const wobble = (i, k) => (wallNoise(i, k, "ww") - 0.5) * w * 0.5;
+    const trace = (lineW, color, shift) => {
+      c.strokeStyle = color;
+      c.lineWidth = lineW;
+      c.beginPath();
+      segs.forEach((s, i) => {
+        const horiz = s.y1 === s.y2;
+        const n = horiz ? s.x2 - s.x1 : s.y2 - s.y1;
+        for (let k = 0; k <= n; k++) {
+          const along = k * cell;
+          const off = wobble(i, k) + shift;
+          const x = horiz ? mid(s.x1) + along : mid(s.x1) + off;
+          const y = horiz ? mid(s.y1) + off : mid(s.y1) + along;
+          if (k === 0) c.moveTo(x, y); else c.lineTo(x, y);
+        }
+      });
+      c.stroke();
+    };
 
-    // candy (far)
-    if (!player.hasCandy) drawEmojiAtCell(candyCell.x, candyCell.y, "🍬", 0.95);
+    trace(w + 2, pal.wall, 0);
+    trace(w, pal.detail, 0);
+    // grain
+    c.globalAlpha = 0.5;
+    trace(Math.max(1, w * 0.08), pal.wall, -w * 0.2);
+    trace(Math.max(1, w * 0.08), pal.wall, w * 0.18);
+    c.globalAlpha = 1;
 
-    // monsters
-    monsters.forEach(m => drawEmojiAtCell(m.x, m.y, m.emoji, 0.9));
+    c.fillStyle = pal.wall;
+    c.beginPath();
+    segs.forEach((s, i) => {
+      const horiz = s.y1 === s.y2;
+      const n = horiz ? s.x2 - s.x1 : s.y2 - s.y1;
+      for (let k = 1; k < n; k++) {
+        if (wallNoise(i, k, "knot") > 0.12) continue;
+        const x = horiz ? mid(s.x1) + k * cell : mid(s.x1) + wobble(i, k);
+        const y = horiz ? mid(s.y1) + wobble(i, k) : mid(s.y1) + k * cell;
+        c.moveTo(x + w * 0.14, y);
+        c.arc(x, y, w * 0.14, 0, Math.PI * 2);
+      }
+    });
+    posts.forEach(p => { c.moveTo(mid(p.x) + w / 2, mid(p.y)); c.arc(mid(p.x), mid(p.y), w / 2, 0, Math.PI * 2); });
+    c.fill();
+  }
+
+  // ---------- Wall style picker ----------
+  function buildWallStylePicker() {
+    wallStyleSelect.innerHTML = "";
+    Object.entries(WALL_STYLES).forEach(([id, s]) => {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = s.label;
+      wallStyleSelect.appendChild(opt);
+    });
+    wallStyleSelect.value = wallStyle;
+  }
+
+  wallStyleSelect.addEventListener("change", () => {
+    setWallStyle(wallStyleSelect.value);
+    wallStyleSelect.blur(); // arrows should move the ribbon, not the picker
+  });
+
+  // paints a frame: the cached static layer, then everything that
+  // moves. With `rects` only those areas (CSS px) are repainted.
+  function draw(rects) {
+    if (!staticValid) paintStatic();
+
+    ctx.save();
+    if (rects) {
+      ctx.beginPath();
+      rects.forEach(r => ctx.rect(r.x, r.y, r.w, r.h));
+      ctx.clip();
+    }
+
+    drawStatic();
+
+    ctx.save();
+    ctx.translate(offsetX, offsetY);
+
+    if (replay && replay.heat) drawHeatmap(rects);
+
+    // items still to collect (far)
+    const next = nextOrderedItem();
+    items.forEach(it => {
+      if (it.taken) return;
+      if (fogEnabled && !isSeen(it.x, it.y)) return;
+      // in ordered runs only the next one is at full size
+      drawEmojiAtCell(it.x, it.y, it.emoji, !next || it === next ? 0.95 : 0.7);
+      if (objective().numbered) drawSmallText(it.x + 0.32, it.y + 0.32, String(it.order + 1));
+    });
 
-    // after candy: show house marker + glow at exit
-    if (player.hasCandy) {
+    // monsters (in the fog, only the ones your lantern reaches; none in replays)
+    if (!replay) monsters.forEach(m => {
+      if (fogEnabled && !isLit(Math.round(m.px), Math.round(m.py))) return;
+      drawEmojiAtCell(m.px, m.py, m.emoji, 0.9);
+    });
+
+    // once unlocked: show house marker + glow at exit
+    if (player.unlocked) {
       drawExitGlow(exitCell.x, exitCell.y);
 
       // draw house above exit if possible
       if (isWalkable(exitCell.x, exitCell.y - 1)) {
-        drawEmojiAtCell(exitCell.x, exitCell.y - 1, "🏚️", 1.05);
-        drawSmallText(exitCell.x, exitCell.y - 0.55, "Elijah’s House");
+        drawEmojiAtCell(exitCell.x, exitCell.y - 1, theme().emoji.goal, 1.05);
+        drawSmallText(exitCell.x, exitCell.y - 0.55, cfg("houseName"));
       } else {
-        drawEmojiAtCell(exitCell.x, exitCell.y, "🏚️", 1.05);
-        drawSmallText(exitCell.x, exitCell.y + 0.35, "Elijah’s House");
+        drawEmojiAtCell(exitCell.x, exitCell.y, theme().emoji.goal, 1.05);
+        drawSmallText(exitCell.x, exitCell.y + 0.35, cfg("houseName"));
       }
     }
 
+    if (fogEnabled) drawFog();
+
+    if (ghost) drawGhost();
+
+    // hints + debug solution float above the fog
+    if (showSolution) drawPath(solutionPath(), 0.35, "rgba(40,140,255,1)");
+    if (hint) drawHint();
+
     // player
-    const nearExit = player.hasCandy && dist(player.px, player.py, exitCell.x, exitCell.y) < 2.2;
+    const nearExit = player.unlocked && dist(player.px, player.py, exitCell.x, exitCell.y) < 2.2;
     drawPlayerRibbon(player.px, player.py, nearExit);
+    ctx.restore();
+
+    drawMinimap();
+    ctx.restore();
+  }
+
+  // =========================================================
+  //  RENDER LOOP
+  //  One requestAnimationFrame loop drives every animation
+  //  (player slide, monster slides, hint fade) and paints at
+  //  most once per frame, and only when something changed:
+  //   - requestDraw(): repaint everything (new item state, fog
+  //     toggle, teleports, hints...)
+  //   - sprites moving: repaint just the boxes they covered last
+  //     frame and cover now (dirty regions)
+  //   - markCellDirty(): repaint one grid cell (the replay heatmap)
+  //   - camera moving: shift last frame's pixels by the scroll,
+  //     then repaint the strips that scrolled in plus the sprites
+  //     (and the minimap, which stays put on screen)
+  //  The loop parks itself while the maze screen is hidden.
+  // =========================================================
+  let dirtyAll = true;
+  let spritesDirty = false;
+  let lastSpriteRects = [];
+  let scrollDX = 0;   // CSS px the view moved since the last paint
+  let scrollDY = 0;
+  let renderLoopOn = false;
+  let dirtyCells = [];  // grid cells that changed under no moving sprite
+
+  function requestDraw() {
+    dirtyAll = true;
+  }
+
+  function markCellDirty(x, y) {
+    dirtyCells.push({ x, y });
+    spritesDirty = true;
+  }
+
+  function scrollView(dx, dy) {
+    if (!dx && !dy) return;
+    scrollDX += dx;
+    scrollDY += dy;
+    spritesDirty = true;
+  }
+
+  // copy the canvas onto itself, moved; returns what still needs painting
+  // (null = everything, when the jump is bigger than the view)
+  function scrollFrame(rects) {
+    const dx = scrollDX, dy = scrollDY;
+    if (Math.abs(dx) >= viewW || Math.abs(dy) >= viewH) return null;
 
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = "copy";
+    ctx.drawImage(canvas, dx * pixelRatio, dy * pixelRatio);
     ctx.restore();
+
+    const out = rects.map(r => ({ ...r, x: r.x + dx, y: r.y + dy }));
+    if (dx > 0) out.push({ x: 0, y: 0, w: dx, h: viewH });
+    if (dx < 0) out.push({ x: viewW + dx, y: 0, w: -dx, h: viewH });
+    if (dy > 0) out.push({ x: 0, y: 0, w: viewW, h: dy });
+    if (dy < 0) out.push({ x: 0, y: viewH + dy, w: viewW, h: -dy });
+    return out;
+  }
+
+  // box around a sprite at grid position (x, y), grown by `pad` cells
+  function spriteRect(x, y, pad) {
+    const half = cellSize * (0.5 + pad);
+    const cx = offsetX + (x + 0.5) * cellSize;
+    const cy = offsetY + (y + 0.5) * cellSize;
+    return { x: Math.floor(cx - half), y: Math.floor(cy - half), w: Math.ceil(half * 2), h: Math.ceil(half * 2) };
+  }
+
+  function spriteRects() {
+    // the ribbon's glow spills over; with fog on the lantern moves too
+    const rects = [spriteRect(player.px, player.py, fogEnabled ? FOG_RADIUS + 1 : 1.5)];
+    monsters.forEach(m => rects.push(spriteRect(m.px, m.py, 0.5)));
+    if (ghost) rects.push(spriteRect(ghost.x, ghost.y, 0.5));
+    if (!mazeFitsView()) {
+      const r = minimapRect(); // + its 2px frame
+      rects.push({ x: r.x - 2, y: r.y - 2, w: r.w + 4, h: r.h + 4 });
+    }
+    return rects;
+  }
+
+  function gameFrame(t) {
+    pollGamepads();
+    // nothing to paint off the maze screen: park the loop, or just
+    // keep polling while a controller is plugged in
+    if (!screenMaze.classList.contains("screen--active")) {
+      if (padsConnected) requestAnimationFrame(gameFrame);
+      else renderLoopOn = false;
+      return;
+    }
+
+    stepPlayer(t);
+    stepCamera(t);
+    stepMonsters(t);
+    stepHint(t);
+    stepReplay(t);
+
+    if (dirtyAll || spritesDirty) {
+      const now = spriteRects();
+      let rects = null;
+      if (!dirtyAll) {
+        // last frame's sprite boxes move with the scroll; the minimap doesn't, so it's in `now` too
+        rects = scrollDX || scrollDY ? scrollFrame(lastSpriteRects) : lastSpriteRects;
+        if (rects) rects = rects.concat(now, dirtyCells.map(c => spriteRect(c.x, c.y, 0)));
+      }
+      draw(rects);
+      lastSpriteRects = now;
+      dirtyCells = [];
+      scrollDX = scrollDY = 0;
+      dirtyAll = spritesDirty = false;
+    }
+    requestAnimationFrame(gameFrame);
+  }
+
+  // safe to call whenever the maze screen shows; only one loop runs
+  function startRenderLoop() {
+    if (renderLoopOn) return;
+    renderLoopOn = true;
+    requestAnimationFrame(gameFrame);
   }
 
   // ---------- Sparkles ----------
   function popSparklesAtCell(x, y) {
     const localW = canvas.clientWidth;
     const localH = canvas.clientHeight;
-    const gridW = cellSize * cols;
-    const gridH = cellSize * rows;
 
     const px = offsetX + x * cellSize + cellSize / 2;
     const py = offsetY + y * cellSize + cellSize / 2;
 
-    const sx = (px / (offsetX * 2 + gridW)) * localW;
-    const sy = (py / (offsetY * 2 + gridH)) * localH;
+    const sx = (px / viewW) * localW;
+    const sy = (py / viewH) * localH;
 
     sparkleBurst.classList.add("show");
     for (let i = 0; i < 18; i++) {
@@ -510,17 +2153,10 @@
   let soundEnabled = false;
   let audioUnlocked = false;
 
-  let mazeSongTimer = null;
-  let mazeTick = 0;
-  let mazeNodes = [];
-
-  let houseSongTimer = null;
-  let houseTick = 0;
-  let houseNodes = [];
-
   function ensureAudio() {
     if (audioCtx) return;
     audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    buildMixer();
   }
 
   function unlockAudioOnce() {
@@ -528,275 +2164,2361 @@
     ensureAudio();
     audioCtx.resume?.();
     audioUnlocked = true;
-    if (soundEnabled) startMazeMusic();
+    if (soundEnabled) startScreenMusic();
   }
 
-  function stopAllAudio() {
-    if (mazeSongTimer) { clearInterval(mazeSongTimer); mazeSongTimer = null; }
-    if (houseSongTimer) { clearInterval(houseSongTimer); houseSongTimer = null; }
-
-    mazeNodes.forEach(n => { try { n.stop?.(); n.disconnect?.(); } catch (_) { } });
-    houseNodes.forEach(n => { try { n.stop?.(); n.disconnect?.(); } catch (_) { } });
-    mazeNodes = [];
-    houseNodes = [];
+  // whichever track fits the screen that's showing
+  function startScreenMusic() {
+    if (screenMaze.classList.contains("screen--active")) startMazeMusic();
+    if (screenHouse.classList.contains("screen--active")) startHouseMusic();
   }
 
-  // short beep
-  function blip(freq, dur = 0.08, type = "square", vol = 0.06) {
-    if (!audioCtx) return;
+  // ---------- Sequencer ----------
+  // Look-ahead scheduling: a timer wakes every SCHED_INTERVAL_MS
+  // and books every step that starts within SCHED_AHEAD_S on the
+  // audio clock. A busy main thread delays the timer, not the notes.
+  // A track is { bpm, perBeat (steps per beat), step(i, at, bus, stepS) },
+  // plus an optional tempo() that can move the bpm between steps;
+  // each playing track owns a gain bus so tracks can crossfade.
+  const SCHED_INTERVAL_MS = 25;
+  const SCHED_AHEAD_S = 0.12;
+  const CROSSFADE_S = 1.2;
+
+  let seq = null;     // { name, theme, track, bus, i, nextAt, timer }
+  let fading = [];    // old seqs still playing out their fade
+  const voices = new Set(); // sources (oscillators, noise) that haven't ended yet
+
+  // envelope presets: attack → decay to `sustain` (fraction of the
+  // note's volume) → hold for the rest of `dur` → release to silence.
+  // `drop` bends the pitch down over the decay (kicks).
+  const INSTRUMENTS = {
+    lead: { wave: "square", attack: 0.005, decay: 0.05, sustain: 0.3, release: 0.04 },
+    kick: { wave: "sine", attack: 0.01, decay: 0.09, sustain: 0, release: 0, drop: 55 / 140 },
+    pad: { wave: "sine", attack: 0.25, decay: 1.35, sustain: 0, release: 0 },
+    blip: { wave: "square", attack: 0.01, decay: 0, sustain: 1, release: 0.06 },
+    hat: { wave: "square", attack: 0.002, decay: 0.03, sustain: 0, release: 0 },
+    bass: { wave: "triangle", attack: 0.01, decay: 0.15, sustain: 0.5, release: 0.1 },
+    drone: { wave: "sawtooth", attack: 0.2, decay: 0.2, sustain: 0.8, release: 0.3 }
+  };
+
+  // one oscillator + envelope; it unhooks itself when it ends
+  function playNote(inst, freq, at, dur, vol, dest) {
     const o = audioCtx.createOscillator();
     const g = audioCtx.createGain();
-    o.type = type;
-    o.frequency.value = freq;
-    g.gain.value = 0;
+    o.type = inst.wave;
+    o.frequency.setValueAtTime(freq, at);
+    if (inst.drop) o.frequency.exponentialRampToValueAtTime(freq * inst.drop, at + inst.attack + inst.decay);
+
+    const held = Math.max(at + inst.attack + inst.decay, at + dur);
+    g.gain.setValueAtTime(0, at);
+    g.gain.linearRampToValueAtTime(vol, at + inst.attack);
+    g.gain.linearRampToValueAtTime(vol * inst.sustain, at + inst.attack + inst.decay);
+    g.gain.setValueAtTime(vol * inst.sustain, held);
+    g.gain.linearRampToValueAtTime(0, held + inst.release);
+
+    o.connect(g).connect(dest);
+    o.onended = () => {
+      o.disconnect();
+      g.disconnect();
+      voices.delete(o);
+    };
+    voices.add(o);
+    o.start(at);
+    o.stop(held + inst.release + 0.02);
+  }
 
-    const t = audioCtx.currentTime;
-    g.gain.setValueAtTime(0.0, t);
-    g.gain.linearRampToValueAtTime(vol, t + 0.01);
-    g.gain.linearRampToValueAtTime(0.0, t + dur);
+  // ---------- Adaptive maze music ----------
+  // The maze track listens to the run through `mood`:
+  //  near:     0 → 1 as the ribbon closes in on the current goal
+  //            (BFS distance, relative to how far away the leg began)
+  //            → faster, louder, plus a hi-hat layer past halfway
+  //  unlocked: every item taken → up a fourth with a bass line
+  //  danger:   0 → 1 as a monster gets within DANGER_CELLS
+  //            → heartbeat kick + a low tritone drone
+  //  victory:  the loop goes quiet and victorySting() takes over
+  // The track eases toward these so nothing lurches mid-bar.
+  const DANGER_CELLS = 6;
+  const mood = { near: 0, unlocked: false, danger: 0, victory: false };
+  let moodGoal = null; // { maze, x, y, dist, leg } BFS from the goal, cached per goal
+
+  function updateMood() {
+    if (!maze.length) return;
+    const goal = currentGoal();
+    if (!moodGoal || moodGoal.maze !== maze || moodGoal.x !== goal.x || moodGoal.y !== goal.y) {
+      const dist = bfsDistances(goal);
+      moodGoal = { maze, x: goal.x, y: goal.y, dist, leg: Math.max(8, dist[player.cellY][player.cellX]) };
+    }
+    const d = moodGoal.dist[player.cellY][player.cellX];
+    mood.near = d < 0 ? 0 : Math.max(0, Math.min(1, 1 - d / moodGoal.leg));
+    mood.unlocked = player.unlocked;
+
+    const closest = hauntedMode && !replay && monsters.length
+      ? Math.min(...monsters.map(m => Math.abs(m.x - player.cellX) + Math.abs(m.y - player.cellY)))
+      : Infinity;
+    mood.danger = Math.max(0, 1 - closest / DANGER_CELLS);
+    mood.victory = gameFinished;
+  }
 
-    o.connect(g).connect(audioCtx.destination);
-    o.start(t);
-    o.stop(t + dur + 0.02);
+  // tempo + melody come from the theme
+  function mazeTrack() {
+    const { bpm, scale, base, wave } = theme().music.maze;
+    const lead = { ...INSTRUMENTS.lead, wave };
+    const level = { near: mood.near, danger: mood.danger }; // eased copy of `mood`
+
+    return {
+      bpm,
+      perBeat: 2, // 8th notes
+      tempo() {
+        return bpm * (1 + 0.2 * level.near + 0.1 * level.danger);
+      },
+      step(i, at, bus, stepS) {
+        if (mood.victory) return;
+        level.near += (mood.near - level.near) * 0.2;
+        level.danger += (mood.danger - level.danger) * 0.3;
+        const key = mood.unlocked ? 5 : 0;
+
+        if (i % 2 === 0) playNote(INSTRUMENTS.kick, 140, at, 0, 0.06, bus);
+
+        // occasional higher note for “exciting”
+        const deg = scale[(i + (i >> 2)) % scale.length] + (i % 8 === 6 ? 12 : 0) + key;
+        playNote(lead, base * Math.pow(2, deg / 12), at, 0.05, 0.04 + 0.025 * level.near, bus);
+
+        // close to the goal: off-beat hats
+        if (level.near > 0.5 && i % 2 === 1) playNote(INSTRUMENTS.hat, base * 8, at, 0, 0.03 * level.near, bus);
+
+        // exit unlocked: bass on the beat
+        if (mood.unlocked && i % 2 === 0) {
+          playNote(INSTRUMENTS.bass, base / 2 * Math.pow(2, (key + (i % 8 === 4 ? 7 : 0)) / 12), at, stepS, 0.07, bus);
+        }
 
-    mazeNodes.push(o);
+        // a monster nearby: lub-dub and a low, wrong-sounding drone
+        if (level.danger > 0.05) {
+          if (i % 4 === 1) playNote(INSTRUMENTS.kick, 110, at, 0, 0.06 * level.danger, bus);
+          if (i % 8 === 0) playNote(INSTRUMENTS.drone, base / 4 * Math.pow(2, 6 / 12), at, stepS * 6, 0.03 * level.danger, bus);
+        }
+      }
+    };
   }
 
-  // tiny kick (noise+filter)
-  function kick(vol = 0.08) {
-    if (!audioCtx) return;
-    const o = audioCtx.createOscillator();
-    const g = audioCtx.createGain();
+  // the maze loop drops out for a rising run + final chord, which
+  // then rings into the crossfade to the house track
+  function victorySting() {
+    if (!audioCtx || !seq || seq.name !== "maze") return;
+    mood.victory = true;
+    const { scale, base, wave } = theme().music.maze;
+    const key = mood.unlocked ? 5 : 0;
+    const at = Math.max(seq.nextAt, audioCtx.currentTime + 0.02);
+    const lead = { ...INSTRUMENTS.lead, wave, sustain: 0.6 };
+
+    [...scale, 12].forEach((deg, n) => {
+      playNote(lead, base * Math.pow(2, (deg + key) / 12), at + n * 0.06, 0.05, 0.06, seq.bus);
+    });
+    const end = at + (scale.length + 1) * 0.06;
+    [0, 4, 7, 12].forEach(deg => {
+      playNote(INSTRUMENTS.pad, base * Math.pow(2, (deg + key) / 12), end, 0.4, 0.05, seq.bus);
+    });
+    playNote(INSTRUMENTS.kick, 140, end, 0, 0.08, seq.bus);
+  }
+
+  function houseTrack() {
+    const { bpm, chords } = theme().music.house;
+    return {
+      bpm,
+      perBeat: 0.5, // a chord every two beats
+      step(i, at, bus) {
+        chords[i % chords.length].forEach(f => playNote(INSTRUMENTS.pad, f, at, 0.25, 0.07, bus));
+      }
+    };
+  }
 
-    const t = audioCtx.currentTime;
-    o.type = "sine";
-    o.frequency.setValueAtTime(140, t);
-    o.frequency.exponentialRampToValueAtTime(55, t + 0.08);
+  const TRACKS = { maze: mazeTrack, house: houseTrack };
 
-    g.gain.setValueAtTime(0.0, t);
-    g.gain.linearRampToValueAtTime(vol, t + 0.01);
-    g.gain.exponentialRampToValueAtTime(0.001, t + 0.10);
+  function schedule(s) {
+    const now = audioCtx.currentTime;
+    if (s.nextAt < now) s.nextAt = now + 0.01; // woke up late (background tab): skip ahead, no burst
+    while (s.nextAt < now + SCHED_AHEAD_S) {
+      const stepS = 60 / (s.track.tempo ? s.track.tempo() : s.track.bpm) / s.track.perBeat;
+      s.track.step(s.i, s.nextAt, s.bus, stepS);
+      s.i++;
+      s.nextAt += stepS;
+    }
+  }
+
+  // switch to a track, crossfading from whatever is playing
+  function playTrack(name) {
+    if (!audioCtx || !soundEnabled) return;
+    if (seq && seq.name === name && seq.theme === theme()) return;
+
+    const now = audioCtx.currentTime;
+    const fadeIn = seq ? CROSSFADE_S : 0.05;
+    if (seq) fadeOut(seq, now);
+
+    const bus = audioCtx.createGain();
+    bus.gain.setValueAtTime(0, now);
+    bus.gain.linearRampToValueAtTime(1, now + fadeIn);
+    bus.connect(mixer.music);
+
+    const s = { name, theme: theme(), track: TRACKS[name](), bus, i: 0, nextAt: now + 0.05, timer: null };
+    s.timer = setInterval(() => schedule(s), SCHED_INTERVAL_MS);
+    schedule(s);
+    seq = s;
+  }
 
-    o.connect(g).connect(audioCtx.destination);
-    o.start(t);
-    o.stop(t + 0.12);
+  // the old track keeps playing (quieter and quieter) until the fade is done
+  function fadeOut(s, now) {
+    s.bus.gain.cancelScheduledValues(now);
+    s.bus.gain.setValueAtTime(s.bus.gain.value, now);
+    s.bus.gain.linearRampToValueAtTime(0, now + CROSSFADE_S);
+    fading.push(s);
+    setTimeout(() => {
+      clearInterval(s.timer);
+      s.bus.disconnect();
+      fading = fading.filter(f => f !== s);
+    }, CROSSFADE_S * 1000 + 50);
+  }
 
-    mazeNodes.push(o);
+  function stopAllAudio() {
+    [seq, ...fading].forEach(s => {
+      if (!s) return;
+      clearInterval(s.timer);
+      s.bus.disconnect();
+    });
+    seq = null;
+    fading = [];
+    voices.forEach(o => { try { o.stop(); } catch (_) { } }); // onended tidies up
   }
 
   // EXCITING MAZE MUSIC (8-bit-ish)
   function startMazeMusic() {
+    playTrack("maze");
+  }
+
+  // ROMANTIC HOUSE MUSIC (soft pad)
+  function startHouseMusic() {
+    playTrack("house");
+  }
+
+  // ---------- Mixer ----------
+  // master → music + sfx buses, volumes 0..1, saved in localStorage.
+  // "Calm" drops the busy effects (footsteps, monster whispers); it
+  // starts on, with the music quieter, when the system asks for
+  // reduced motion.
+  const AUDIO_KEY = "hhm.audio";
+  const REDUCED_MOTION = !!window.matchMedia?.("(prefers-reduced-motion: reduce)")?.matches;
+  const DEFAULT_AUDIO = {
+    enabled: false,
+    master: 0.8,
+    music: REDUCED_MOTION ? 0.4 : 0.7,
+    sfx: 0.8,
+    calm: REDUCED_MOTION
+  };
+  const MIXER_CHANNELS = ["master", "music", "sfx"];
+
+  function sanitizeAudio(raw) {
+    const out = { ...DEFAULT_AUDIO };
+    if (!raw || typeof raw !== "object") return out;
+    MIXER_CHANNELS.forEach(ch => {
+      if (Number.isFinite(raw[ch])) out[ch] = Math.min(1, Math.max(0, raw[ch]));
+    });
+    if (typeof raw.enabled === "boolean") out.enabled = raw.enabled;
+    if (typeof raw.calm === "boolean") out.calm = raw.calm;
+    return out;
+  }
+
+  function loadAudio() {
+    try { return sanitizeAudio(JSON.parse(localStorage.getItem(AUDIO_KEY))); } catch (_) { }
+    return sanitizeAudio(null);
+  }
+
+  function saveAudio() {
+    try { localStorage.setItem(AUDIO_KEY, JSON.stringify(audioSettings)); } catch (_) { }
+  }
+
+  let audioSettings = loadAudio();
+  soundEnabled = audioSettings.enabled;
+
+  const mixer = { master: null, music: null, sfx: null }; // GainNodes, built with the AudioContext
+
+  function buildMixer() {
+    mixer.master = audioCtx.createGain();
+    mixer.master.connect(audioCtx.destination);
+    mixer.music = audioCtx.createGain();
+    mixer.music.connect(mixer.master);
+    mixer.sfx = audioCtx.createGain();
+    mixer.sfx.connect(mixer.master);
+    applyMixer();
+  }
+
+  function applyMixer() {
+    if (!audioCtx) return;
+    const now = audioCtx.currentTime;
+    MIXER_CHANNELS.forEach(ch => mixer[ch].gain.setTargetAtTime(audioSettings[ch], now, 0.03));
+  }
+
+  // ---------- Sound effects ----------
+  // All synthesised: oscillators from playNote, plus filtered noise.
+  // sfx(name, ...) is the one way in; it checks sound + calm mode.
+  const CALM_SKIPS = ["step", "whisper"];
+  const WHISPER_GAP_MS = 1800;
+  let noise = null; // 1s of white noise, shared by every noise burst
+  let footstep = 0;
+  let lastWhisperAt = -Infinity;
+
+  function noiseBuffer() {
+    if (noise) return noise;
+    const len = audioCtx.sampleRate;
+    noise = audioCtx.createBuffer(1, len, audioCtx.sampleRate);
+    const data = noise.getChannelData(0);
+    for (let i = 0; i < len; i++) data[i] = Math.random() * 2 - 1;
+    return noise;
+  }
+
+  // a burst of filtered noise; the filter can sweep from `freq` to `to`
+  function playNoise(at, dur, vol, type, freq, to = freq, attack = 0.005) {
+    const src = audioCtx.createBufferSource();
+    const f = audioCtx.createBiquadFilter();
+    const g = audioCtx.createGain();
+    src.buffer = noiseBuffer();
+    f.type = type;
+    f.frequency.setValueAtTime(freq, at);
+    if (to !== freq) f.frequency.exponentialRampToValueAtTime(to, at + dur);
+    g.gain.setValueAtTime(0, at);
+    g.gain.linearRampToValueAtTime(vol, at + attack);
+    g.gain.linearRampToValueAtTime(0, at + dur);
+
+    src.connect(f).connect(g).connect(mixer.sfx);
+    src.onended = () => {
+      src.disconnect();
+      f.disconnect();
+      g.disconnect();
+      voices.delete(src);
+    };
+    voices.add(src);
+    src.start(at);
+    src.stop(at + dur + 0.02);
+  }
+
+  const SFX = {
+    // soft scuff, alternating feet
+    step(at) {
+      footstep ^= 1;
+      playNoise(at, 0.05, 0.12, "lowpass", footstep ? 900 : 1200);
+    },
+    // body into a wall
+    bump(at) {
+      playNote(INSTRUMENTS.kick, 90, at, 0, 0.12, mixer.sfx);
+      playNoise(at, 0.1, 0.1, "lowpass", 320);
+    },
+    // exit still locked: two detuned saws beating against each other
+    locked(at) {
+      const buzz = { ...INSTRUMENTS.blip, wave: "sawtooth" };
+      playNote(buzz, 110, at, 0.22, 0.04, mixer.sfx);
+      playNote(buzz, 116.5, at, 0.22, 0.04, mixer.sfx);
+    },
+    // breathy, falling noise; louder the closer the monster
+    whisper(at, level = 1) {
+      playNoise(at, 0.7, 0.06 * level, "bandpass", 2600, 1400, 0.2);
+    },
+    pickup(at) {
+      playNote(INSTRUMENTS.blip, 660, at, 0.01, 0.07, mixer.sfx);
+      playNote(INSTRUMENTS.blip, 880, at, 0.01, 0.07, mixer.sfx);
+    },
+    hit(at) {
+      playNote({ ...INSTRUMENTS.blip, wave: "sawtooth" }, 196, at, 0.06, 0.06, mixer.sfx);
+      playNote({ ...INSTRUMENTS.blip, wave: "sawtooth" }, 147, at, 0.1, 0.06, mixer.sfx);
+    },
+    // paper rustle + the flap thumping back
+    envelope(at) {
+      playNoise(at, 0.18, 0.08, "highpass", 2800);
+      playNote(INSTRUMENTS.kick, 180, at + 0.12, 0, 0.05, mixer.sfx);
+    },
+    // rising rustle as the letter slides up, then a little chime
+    unfold(at) {
+      playNoise(at, 0.55, 0.06, "bandpass", 700, 3200, 0.1);
+      playNote({ ...INSTRUMENTS.pad, attack: 0.01, decay: 0.9 }, 1568, at + 0.5, 0, 0.04, mixer.sfx);
+    }
+  };
+
+  function sfx(name, ...args) {
     if (!audioCtx || !soundEnabled) return;
-    stopAllAudio();
-    mazeTick = 0;
+    if (audioSettings.calm && CALM_SKIPS.includes(name)) return;
+    SFX[name](audioCtx.currentTime, ...args);
+  }
+
+  // called after monsters move
+  function maybeWhisper(now) {
+    if (mood.danger < 0.5 || now - lastWhisperAt < WHISPER_GAP_MS) return;
+    lastWhisperAt = now;
+    sfx("whisper", mood.danger);
+  }
+
+  // ---------- Sound dialog ----------
+  function updateSoundBtn() {
+    soundBtn.textContent = soundEnabled && audioSettings.master > 0 ? "🔊 Sound" : "🔇 Sound";
+  }
+
+  function setSoundEnabled(on) {
+    unlockAudioOnce();
+    soundEnabled = on;
+    audioSettings.enabled = on;
+    saveAudio();
+    updateSoundBtn();
+    renderSoundDialog();
+    stopAllAudio();
+    if (soundEnabled) startScreenMusic();
+  }
+
+  function renderSoundDialog() {
+    soundOn.checked = soundEnabled;
+    soundCalm.checked = audioSettings.calm;
+    MIXER_CHANNELS.forEach(ch => {
+      mixerInputs[ch].value = String(Math.round(audioSettings[ch] * 100));
+      mixerInputs[ch].disabled = !soundEnabled;
+      mixerOutputs[ch].textContent = `${Math.round(audioSettings[ch] * 100)}%`;
+    });
+  }
+
+  function openSoundDialog() {
+    renderSoundDialog();
+    soundModal.hidden = false;
+  }
+
+  function closeSoundDialog() {
+    soundModal.hidden = true;
+  }
+
+  const mixerInputs = { master: mixerMaster, music: mixerMusic, sfx: mixerSfx };
+  const mixerOutputs = { master: mixerMasterOut, music: mixerMusicOut, sfx: mixerSfxOut };
+
+  MIXER_CHANNELS.forEach(ch => {
+    mixerInputs[ch].addEventListener("input", () => {
+      audioSettings[ch] = Number(mixerInputs[ch].value) / 100;
+      saveAudio();
+      applyMixer();
+      updateSoundBtn();
+      renderSoundDialog();
+    });
+  });
+  mixerSfx.addEventListener("change", () => sfx("pickup")); // a sample at the new level
+
+  soundOn.addEventListener("change", () => setSoundEnabled(soundOn.checked));
+  soundCalm.addEventListener("change", () => {
+    audioSettings.calm = soundCalm.checked;
+    saveAudio();
+  });
+
+  soundBtn.addEventListener("click", () => { unlockAudioOnce(); openSoundDialog(); soundBtn.blur(); });
+  soundClose.addEventListener("click", closeSoundDialog);
+  soundModal.addEventListener("click", (e) => { if (e.target === soundModal) closeSoundDialog(); });
+  window.addEventListener("keydown", (e) => { if (e.key === "Escape" && !soundModal.hidden) closeSoundDialog(); });
+
+  // ---------- Movement ----------
+  const MOVE_MS = 120;
+  let queuedDir = null;
+
+  function dirToDelta(dir) {
+    if (dir === "up") return { dx: 0, dy: -1 };
+    if (dir === "down") return { dx: 0, dy: 1 };
+    if (dir === "left") return { dx: -1, dy: 0 };
+    if (dir === "right") return { dx: 1, dy: 0 };
+    return null;
+  }
+
+  function tryMove(dir) {
+    if (gameFinished || replay) return;
+    if (player.moving) { queuedDir = dir; return; }
+
+    const d = dirToDelta(dir);
+    if (!d) return;
+
+    startRunClock();
+
+    const nx = player.cellX + d.dx;
+    const ny = player.cellY + d.dy;
+    if (!isWalkable(nx, ny)) {
+      if (countBump(dir)) sfx("bump"); // one thud per wall, not per key repeat
+      return;
+    }
+
+    player.moving = true;
+    queuedDir = null;
+    countMove(dir);
+    sfx("step");
+
+    camera.free = false; // moving hands the camera back to the ribbon
+
+    // the game loop slides the ribbon over (stepPlayer)
+    player.anim = { sx: player.cellX, sy: player.cellY, t0: performance.now() };
+    player.cellX = nx;
+    player.cellY = ny;
+
+    // light the new cell as soon as we start moving into it
+    if (fogEnabled) updateFog();
+  }
+
+  function stepPlayer(t) {
+    const a = player.anim;
+    if (!a) return;
+
+    const p = Math.min(1, Math.max(0, (t - a.t0) / MOVE_MS));
+    const e = 1 - Math.pow(1 - p, 3);
+    player.px = a.sx + (player.cellX - a.sx) * e;
+    player.py = a.sy + (player.cellY - a.sy) * e;
+    spritesDirty = true;
+    if (p < 1) return;
+
+    player.anim = null;
+    player.moving = false;
+    arriveAtCell();
+  }
+
+  function arriveAtCell() {
+    // walked into a monster? back at START there's nothing left to do here;
+    // a lost life doesn't stop the pickup, exit check or queued steps
+    if (checkMonsterHit() === "start") return;
+
+    // item pickup
+    const item = itemAt(player.cellX, player.cellY);
+    if (item) collectItem(item);
+    updateMood();
+
+    // exit must have every item
+    if (player.cellX === exitCell.x && player.cellY === exitCell.y) {
+      if (!player.unlocked) {
+        showToast(lockedExitText());
+        sfx("locked");
+      } else {
+        finishMaze();
+        return;
+      }
+    }
+
+    saveRun();
+
+    if (queuedDir) {
+      const next = queuedDir;
+      queuedDir = null;
+      tryMove(next);
+    } else if (travelSteps.length) {
+      // runs pull up when a monster gets close; taps keep walking
+      if (travelWary && monsterNear()) stopTravel();
+      else tryMove(travelSteps.shift());
+    }
+  }
+
+  // ---------- Travel (multi-step moves) ----------
+  // Runs (swipes, auto-run presses) and taps walk a precomputed list
+  // of steps, one tryMove per step, so they get the same slide,
+  // bumps and pickups as single moves. Any direction input cancels
+  // the rest. Started mid-slide, the list simply waits for the
+  // current step to land, the same way queuedDir does.
+  const WARY_STEPS = 2; // runs stop this close to an awake monster
+
+  let travelSteps = [];
+  let travelWary = false;
+
+  function travel(steps, wary = false) {
+    travelSteps = steps.slice();
+    travelWary = wary;
+    if (player.moving || !travelSteps.length) return;
+    // a run doesn't set off with a monster already close either
+    if (travelWary && monsterNear()) stopTravel();
+    else tryMove(travelSteps.shift());
+  }
+
+  function stopTravel() {
+    travelSteps = [];
+  }
+
+  // one press in auto-run mode (or a swipe): down the corridor
+  function runCorridor(dir) {
+    const steps = corridorSteps(dir);
+    if (steps.length) travel(steps, true);
+    else tryMove(dir); // straight into a wall: a normal bump
+  }
+
+  function monsterNear() {
+    if (!hauntedMode) return false;
+    return monsters.some(m => Math.abs(m.x - player.cellX) + Math.abs(m.y - player.cellY) <= WARY_STEPS &&
+      (!fogEnabled || isLit(m.x, m.y)));
+  }
+
+  function stepDir(from, to) {
+    if (to.x > from.x) return "right";
+    if (to.x < from.x) return "left";
+    return to.y > from.y ? "down" : "up";
+  }
+
+  const OPPOSITE = { up: "down", down: "up", left: "right", right: "left" };
+
+  // follow the corridor (round its bends) until something interesting:
+  // a junction, a dead end, an item, START or EXIT
+  function corridorSteps(dir) {
+    const steps = [];
+    let x = player.cellX, y = player.cellY, d = dir;
+    while (steps.length < rows * cols) {
+      const delta = dirToDelta(d);
+      if (!isWalkable(x + delta.dx, y + delta.dy)) break;
+      x += delta.dx;
+      y += delta.dy;
+      steps.push(d);
+
+      const here = { x, y };
+      if (itemAt(x, y) || sameCell(here, exitCell) || sameCell(here, startCell)) break;
+      const ways = Object.keys(OPPOSITE).filter(o => {
+        const od = dirToDelta(o);
+        return o !== OPPOSITE[d] && isWalkable(x + od.dx, y + od.dy);
+      });
+      if (ways.length !== 1) break;
+      d = ways[0];
+    }
+    return steps;
+  }
+
+  // BFS route to a cell; in the fog only through cells you've seen
+  function stepsTo(target) {
+    const known = (x, y) => isWalkable(x, y) && (!fogEnabled || isSeen(x, y));
+    let at = { x: player.cellX, y: player.cellY };
+    return shortestPath(at, target, known).map(c => {
+      const dir = stepDir(at, c);
+      at = c;
+      return dir;
+    });
+  }
+
+  // =========================================================
+  //  MONSTER AI (haunted mode)
+  //  Gentle mode keeps the monsters as decoration. Haunted mode
+  //  moves them on a tick, each kind with its own brain
+  //  (emoji come from the theme, 👻🦇🧟😈🕷️ in the classic one):
+  //   - ghost:  wanders, rarely doubles back
+  //   - bat:    patrols a corridor back and forth
+  //   - zombie: slow, but always chases (BFS toward the player)
+  //   - imp:    wanders until you're close, then chases
+  //   - spider: lurks, lunges when you're right next to it
+  // =========================================================
+  const MONSTER_TYPES = {
+    ghost: { brain: "wander", every: 2 },
+    bat: { brain: "patrol", every: 1 },
+    zombie: { brain: "chase", every: 3 },
+    imp: { brain: "ambush", every: 2, range: 8 },
+    spider: { brain: "lurk", every: 1, range: 2 }
+  };
+
+  const MONSTER_TICK_MS = 220;
+  const MONSTER_MOVE_MS = 180;
+  const MAX_LIVES = 3;
+  const HIT_GRACE_MS = 1500; // no double hits while you escape
+
+  // ?monsters=haunted turns them on from a link; ?hit=start swaps lives for "back to START"
+  let hauntedMode = new URLSearchParams(location.search).get("monsters") === "haunted";
+  const hitPenalty = new URLSearchParams(location.search).get("hit") === "start" ? "start" : "life";
+
+  let monsterTimer = null;
+  let monsterTick = 0;
+  let aiRng = Math.random;
+  let lives = MAX_LIVES;
+  let lastHitAt = -Infinity;
+
+  function monsterCanEnter(x, y) {
+    // START is a safe zone, otherwise respawning could be instant death
+    return isWalkable(x, y) && !(x === startCell.x && y === startCell.y);
+  }
+
+  function monsterOptions(m) {
+    return STEP_DIRS.filter(d => monsterCanEnter(m.x + d.dx, m.y + d.dy));
+  }
+
+  function stepToward(m, distToPlayer) {
+    let best = null;
+    let bestD = distToPlayer[m.y][m.x];
+    for (const d of monsterOptions(m)) {
+      const nd = distToPlayer[m.y + d.dy][m.x + d.dx];
+      if (nd >= 0 && (bestD < 0 || nd < bestD)) { bestD = nd; best = d; }
+    }
+    return best;
+  }
+
+  function wanderStep(m) {
+    const options = monsterOptions(m);
+    if (!options.length) return null;
+    // avoid turning straight back unless it's a dead end
+    const back = m.dir && options.find(d => d.dx === -m.dir.dx && d.dy === -m.dir.dy);
+    const forward = back && options.length > 1 ? options.filter(d => d !== back) : options;
+    return forward[Math.floor(aiRng() * forward.length)];
+  }
+
+  function patrolStep(m) {
+    const options = monsterOptions(m);
+    if (!options.length) return null;
+    if (!m.dir) m.dir = options[Math.floor(aiRng() * options.length)];
+    const ahead = options.find(d => d.dx === m.dir.dx && d.dy === m.dir.dy);
+    if (ahead) return ahead;
+    // end of the corridor: turn around (or take the only way out)
+    return options.find(d => d.dx === -m.dir.dx && d.dy === -m.dir.dy) || options[0];
+  }
+
+  function chooseMonsterStep(m, distToPlayer) {
+    const here = distToPlayer[m.y][m.x];
+    const type = MONSTER_TYPES[m.kind] || {};
+    switch (m.brain) {
+      case "patrol": return patrolStep(m);
+      case "chase": return stepToward(m, distToPlayer);
+      case "ambush": return here >= 0 && here <= type.range ? stepToward(m, distToPlayer) : wanderStep(m);
+      case "lurk": return here >= 0 && here <= type.range ? stepToward(m, distToPlayer) : null;
+      default: return wanderStep(m);
+    }
+  }
+
+  function monsterStep() {
+    if (!hauntedMode || gameFinished) return;
+    if (!screenMaze.classList.contains("screen--active")) return;
+
+    monsterTick++;
+    const distToPlayer = bfsDistances({ x: player.cellX, y: player.cellY });
+    const now = performance.now();
+
+    monsters.forEach(m => {
+      const every = MONSTER_TYPES[m.kind]?.every || 2;
+      if (monsterTick % every !== 0) return;
+
+      const d = chooseMonsterStep(m, distToPlayer);
+      if (!d) return;
+
+      m.anim = { sx: m.x, sy: m.y, t0: now };
+      m.x += d.dx;
+      m.y += d.dy;
+      m.dir = d;
+    });
+
+    updateMood();
+    maybeWhisper(now);
+    checkMonsterHit();
+  }
+
+  // same ease-out slide the player uses, run by the game loop
+  function stepMonsters(t) {
+    monsters.forEach(m => {
+      if (!m.anim) return;
+      const p = Math.min(1, Math.max(0, (t - m.anim.t0) / MONSTER_MOVE_MS));
+      const e = 1 - Math.pow(1 - p, 3);
+      m.px = m.anim.sx + (m.x - m.anim.sx) * e;
+      m.py = m.anim.sy + (m.y - m.anim.sy) * e;
+      if (p >= 1) m.anim = null;
+      spritesDirty = true;
+    });
+  }
+
+  // false, or what the hit cost: "life" (stay put) or "start" (sent back)
+  function checkMonsterHit() {
+    if (!hauntedMode || gameFinished) return false;
+    const here = { x: player.cellX, y: player.cellY };
+    const hit = monsters.find(m => sameCell(m, here)) || swappedWith();
+    if (!hit) return false;
+
+    const now = performance.now();
+    if (now - lastHitAt < HIT_GRACE_MS) return false;
+    lastHitAt = now;
+
+    let result = "start";
+    if (hitPenalty === "life") {
+      lives--;
+      if (lives > 0) {
+        result = "life";
+        showToast(`Ouch! ${hit.emoji} got you (${lives} ${lives === 1 ? "life" : "lives"} left)`);
+      } else {
+        lives = MAX_LIVES;
+        sendPlayerToStart();
+        showToast(`Out of lives ${hit.emoji} Back to START!`);
+      }
+    } else {
+      sendPlayerToStart();
+      showToast(`${hit.emoji} got you! Back to START`);
+    }
+    updateLivesUI();
+    sfx("hit");
+    return result;
+  }
+
+  // a monster and the ribbon trading cells in one tick pass straight
+  // through each other, so that counts too
+  function swappedWith() {
+    const a = player.anim;
+    if (!a) return null;
+    return monsters.find(m => m.anim && m.x === a.sx && m.y === a.sy && m.anim.sx === player.cellX && m.anim.sy === player.cellY) || null;
+  }
+
+  function sendPlayerToStart() {
+    queuedDir = null;
+    stopTravel();
+    player.anim = null; // could be mid-slide after a swap
+    player.moving = false;
+    countSentToStart();
+    player.cellX = player.px = startCell.x;
+    player.cellY = player.py = startCell.y;
+    updateFog();
+    updateMood();
+    requestDraw();
+    saveRun();
+  }
+
+  function startMonsterLoop() {
+    stopMonsterLoop();
+    if (!hauntedMode) return;
+    monsterTimer = setInterval(monsterStep, MONSTER_TICK_MS);
+  }
+
+  function stopMonsterLoop() {
+    if (monsterTimer) clearInterval(monsterTimer);
+    monsterTimer = null;
+  }
+
+  function resetMonsters() {
+    aiRng = createRng(`${mazeSeed}:ai`);
+    monsterTick = 0;
+    lives = MAX_LIVES;
+    lastHitAt = -Infinity;
+    updateLivesUI();
+  }
+
+  function updateLivesUI() {
+    livesPill.hidden = !hauntedMode || hitPenalty !== "life";
+    livesPill.textContent = "❤️".repeat(lives) + "🖤".repeat(MAX_LIVES - lives);
+  }
+
+  function updateHauntBtn() {
+    hauntBtn.textContent = hauntedMode ? "👻 Haunted" : "🕊️ Gentle";
+    hauntBtn.setAttribute("aria-pressed", String(hauntedMode));
+  }
+
+  hauntBtn.addEventListener("click", () => {
+    hauntedMode = !hauntedMode;
+    updateHauntBtn();
+    updateLivesUI();
+    showToast(hauntedMode ? "The monsters are awake 👻 Don't get caught!" : "Monsters are sleeping 😴");
+    if (hauntedMode && !gameFinished) startMonsterLoop();
+    else stopMonsterLoop();
+    hauntBtn.blur();
+  });
+
+  // ---------- Collecting ----------
+  function collectItem(item) {
+    const next = nextOrderedItem();
+    if (next && next !== item) {
+      showToast(`Not yet! Get ${next.emoji}${objective().numbered ? ` #${next.order + 1}` : ""} first`);
+      return;
+    }
+
+    item.taken = true;
+    player.inventory.push(item.emoji);
+    player.unlocked = items.every(it => it.taken);
+    updateExitUI();
+    requestDraw(); // the house + glow may appear far from the ribbon
+    popSparklesAtCell(item.x, item.y);
+
+    if (player.unlocked) {
+      const classic = cfg("itemEmoji") === "🍬";
+      showToast(objectiveId === "candy" ? `${classic ? "Candy" : cfg("itemEmoji")} collected! ${classic ? "🍬 " : ""}EXIT unlocked ✅` : `All collected! ${player.inventory.join("")} EXIT unlocked ✅`);
+    } else {
+      showToast(`${item.emoji} collected! (${player.inventory.length}/${items.length})`);
+    }
+
+    // little celebration blips
+    sfx("pickup");
+  }
+
+  // =========================================================
+  //  RUN STATS (live HUD + end-of-run scorecard)
+  //  The clock starts on the first move. Bumps = failed moves into
+  //  a wall; holding a key against the same wall counts once.
+  //  Optimal = shortest start → items → exit route via BFS.
+  // =========================================================
+  const SCORE_HINT_PENALTY = 75;
+  const SCORE_BUMP_PENALTY = 5;
+
+  const run = {
+    startedAt: 0,
+    elapsedMs: 0,
+    moves: 0,
+    bumps: 0,
+    optimal: 0,
+    lastBump: null, // "x,y,dir" so one long press isn't 20 bumps
+    trail: []       // [ms, code] per successful move (see TRAIL_DIRS) or trip back to START
+  };
+  let runClockTimer = null;
+
+  // trail codes: a move's first letter, or "s" when a monster sent you back
+  const TRAIL_DIRS = { u: "up", d: "down", l: "left", r: "right" };
+  const TRAIL_START = "s";
+
+  // where one trail code takes you from `at`
+  function followTrail(at, code) {
+    if (code === TRAIL_START) return { x: startCell.x, y: startCell.y };
+    const d = dirToDelta(TRAIL_DIRS[code]);
+    return d ? { x: at.x + d.dx, y: at.y + d.dy } : at;
+  }
+
+  function resetRunStats() {
+    stopRunClock();
+    run.startedAt = 0;
+    run.elapsedMs = 0;
+    run.moves = 0;
+    run.bumps = 0;
+    run.lastBump = null;
+    run.trail = [];
+    run.optimal = optimalRouteLength();
+    updateRunHUD();
+  }
+
+  function startRunClock() {
+    if (run.startedAt || gameFinished) return;
+    run.startedAt = performance.now() - run.elapsedMs; // > 0 after a resume
+    runClockTimer = setInterval(updateRunHUD, 250);
+    startGhost();
+  }
+
+  function stopRunClock() {
+    if (run.startedAt) run.elapsedMs = performance.now() - run.startedAt;
+    if (runClockTimer) clearInterval(runClockTimer);
+    runClockTimer = null;
+    stopGhost();
+  }
+
+  function elapsedMs() {
+    if (!run.startedAt) return run.elapsedMs;
+    return gameFinished ? run.elapsedMs : performance.now() - run.startedAt;
+  }
+
+  function countMove(dir) {
+    run.moves++;
+    run.lastBump = null;
+    run.trail.push([Math.round(elapsedMs()), dir[0]]); // feeds the best-time ghost
+    updateRunHUD();
+  }
+
+  // caught and sent back: the ghost (and replays) jump back too
+  function countSentToStart() {
+    run.trail.push([Math.round(elapsedMs()), TRAIL_START]);
+  }
+
+  // true when this bump counted (not the same wall again)
+  function countBump(dir) {
+    const key = `${player.cellX},${player.cellY},${dir}`;
+    if (run.lastBump === key) return false;
+    run.lastBump = key;
+    run.bumps++;
+    updateRunHUD();
+    return true;
+  }
+
+  // exact for ordered objectives; tries every order for the unordered ones
+  function optimalRouteLength() {
+    const stops = [startCell, ...items];
+    const dists = stops.map(c => bfsDistances(c));
+    const between = (a, b) => dists[a][stops[b].y][stops[b].x];
+    const toExit = (a) => dists[a][exitCell.y][exitCell.x];
+
+    const orders = objective().ordered ? [items.map((_, i) => i + 1)] : permutations(items.map((_, i) => i + 1));
+    let best = Infinity;
+    orders.forEach(order => {
+      let at = 0;
+      let total = 0;
+      order.forEach(i => { total += between(at, i); at = i; });
+      best = Math.min(best, total + toExit(at));
+    });
+    return best;
+  }
+
+  function permutations(list) {
+    if (list.length <= 1) return [list];
+    return list.flatMap((x, i) => permutations([...list.slice(0, i), ...list.slice(i + 1)]).map(p => [x, ...p]));
+  }
+
+  function formatTime(ms) {
+    const total = Math.floor(ms / 100);
+    const m = Math.floor(total / 600);
+    const sec = Math.floor(total / 10) % 60;
+    return `${m}:${String(sec).padStart(2, "0")}.${total % 10}`;
+  }
+
+  function efficiency() {
+    return run.moves ? Math.min(1, run.optimal / run.moves) : 0;
+  }
+
+  function runScore() {
+    const base = Math.round(efficiency() * 1000);
+    return Math.max(0, base - hintsUsed * SCORE_HINT_PENALTY - run.bumps * SCORE_BUMP_PENALTY);
+  }
+
+  function efficiencyRating(eff) {
+    if (eff >= 0.95) return "💎 Perfect route";
+    if (eff >= 0.8) return "🌟 Great pathfinder";
+    if (eff >= 0.6) return "👍 Nicely done";
+    return "🧭 True explorer";
+  }
+
+  function updateRunHUD() {
+    runPill.textContent = `⏱ ${formatTime(elapsedMs())} · 👣 ${run.moves} · 💥 ${run.bumps}`;
+  }
+
+  function fillScorecard() {
+    const eff = efficiency();
+    const rows = [
+      ["Time", formatTime(run.elapsedMs)],
+      ["Moves", `${run.moves} (best possible ${run.optimal})`],
+      ["Wall bumps", run.bumps],
+      ["Hints", hintsUsed],
+      ["Efficiency", `${Math.round(eff * 100)}%`],
+      ["Score", runScore()]
+    ];
+
+    scorecardRating.textContent = efficiencyRating(eff);
+    scorecardRecord.textContent = lastRecord;
+    scorecardRecord.hidden = !lastRecord;
+    scorecardStats.innerHTML = "";
+    rows.forEach(([label, value]) => {
+      const dt = document.createElement("dt");
+      dt.textContent = label;
+      const dd = document.createElement("dd");
+      dd.textContent = value;
+      scorecardStats.append(dt, dd);
+    });
+  }
+
+  // =========================================================
+  //  LEADERBOARD (localStorage)
+  //  One flat list of finished runs; the board views filter it by
+  //  this exact maze (seed + settings) or by difficulty. The saved
+  //  blob carries a schema version: older saves are migrated, saves
+  //  from a NEWER version are left alone (read-only) so going back
+  //  to an old build never wipes them.
+  // =========================================================
+  const SCORES_KEY = "hhm.scores";
+  const SCORES_VERSION = 1;
+  const SCORES_MAX = 300;
+  const BOARD_SIZE = 10;
+
+  // SCORE_MIGRATIONS[n] upgrades a version-n save to n + 1
+  const SCORE_MIGRATIONS = {
+    0: (old) => ({ version: 1, name: "", entries: Array.isArray(old) ? old : [] })
+  };
+
+  let scoresReadOnly = false;
+  let scores = loadScores();
+  let lastEntry = null;     // the run just recorded (for naming + highlight)
+  let lastRecord = "";      // "New … record!" line for the scorecard, if that run set one
+  let boardTab = "maze";    // "maze" | "difficulty"
+
+  function loadScores() {
+    let data = null;
+    try { data = JSON.parse(localStorage.getItem(SCORES_KEY)); } catch (_) { }
+    if (!data) return { version: SCORES_VERSION, name: "", entries: [] };
+
+    let version = typeof data.version === "number" ? data.version : 0;
+    if (version > SCORES_VERSION) {
+      scoresReadOnly = true;
+      return { version, name: data.name || "", entries: Array.isArray(data.entries) ? data.entries : [] };
+    }
+    while (version < SCORES_VERSION) {
+      const migrate = SCORE_MIGRATIONS[version];
+      if (!migrate) return { version: SCORES_VERSION, name: "", entries: [] }; // no way forward: no scores
+      data = migrate(data);
+      version = data.version;
+    }
+    return data;
+  }
+
+  function saveScores() {
+    if (scoresReadOnly) return;
+    try { localStorage.setItem(SCORES_KEY, JSON.stringify(scores)); } catch (_) { }
+  }
+
+  // same key = same maze (seed alone isn't enough)
+  function mazeKey() {
+    return [mazeSeed, difficulty, mazeAlgo, objectiveId].join("|");
+  }
+
+  function byTime(a, b) {
+    return a.time - b.time || a.moves - b.moves;
+  }
+
+  function boardEntries(tab) {
+    const key = mazeKey();
+    return scores.entries
+      .filter(e => (tab === "maze" ? e.maze === key : e.difficulty === difficulty))
+      .sort(byTime);
+  }
+
+  function recordRun() {
+    const entry = {
+      maze: mazeKey(),
+      seed: mazeSeed,
+      difficulty,
+      time: Math.round(run.elapsedMs),
+      moves: run.moves,
+      hints: hintsUsed,
+      score: runScore(),
+      date: new Date().toISOString(),
+      name: scores.name || "",
+      trail: run.trail
+    };
+
+    const prevMaze = boardEntries("maze")[0];
+    const prevDiff = boardEntries("difficulty")[0];
+
+    // only the best run per maze keeps its trail (that's the ghost)
+    if (!prevMaze || byTime(entry, prevMaze) < 0) {
+      scores.entries.forEach(e => { if (e.maze === entry.maze) delete e.trail; });
+    } else {
+      delete entry.trail;
+    }
+
+    scores.entries.push(entry);
+    if (scores.entries.length > SCORES_MAX) {
+      // drop the oldest, but never someone's best
+      scores.entries.sort((a, b) => (a.trail ? 1 : 0) - (b.trail ? 1 : 0) || a.date.localeCompare(b.date));
+      scores.entries.splice(0, scores.entries.length - SCORES_MAX);
+    }
+    lastEntry = entry;
+    saveScores();
+
+    // shown on the house scorecard (the maze screen is already fading out)
+    lastRecord = "";
+    if (prevDiff && byTime(entry, prevDiff) < 0) {
+      lastRecord = `🏆 New ${DIFFICULTIES[difficulty].label} record! ${formatTime(entry.time)}`;
+    } else if (prevMaze && byTime(entry, prevMaze) < 0) {
+      lastRecord = `🏆 New record on this maze! ${formatTime(entry.time)}`;
+    }
+  }
+
+  function renderBoard(list, entries, highlight) {
+    list.innerHTML = "";
+    if (!entries.length) {
+      const li = document.createElement("li");
+      li.className = "board__empty";
+      li.textContent = "No finished runs yet. Be the first!";
+      list.appendChild(li);
+      return;
+    }
+
+    entries.slice(0, BOARD_SIZE).forEach((e, i) => {
+      const li = document.createElement("li");
+      li.className = "board__row" + (e === highlight ? " board__row--me" : "");
+      const date = new Date(e.date).toLocaleDateString();
+      const hints = e.hints ? ` · 💡${e.hints}` : "";
+      li.innerHTML = `<span class="board__rank"></span><span class="board__name"></span><span class="board__time"></span><span class="board__meta"></span>`;
+      li.children[0].textContent = `#${i + 1}`;
+      li.children[1].textContent = e.name || "Anonymous";
+      li.children[2].textContent = formatTime(e.time);
+      li.children[3].textContent = `👣${e.moves}${hints} · ${date}`;
+      list.appendChild(li);
+    });
+  }
+
+  function renderScorecardBoard() {
+    playerNameInput.value = scores.name || "";
+    renderBoard(scorecardBoard, boardEntries("maze").slice(0, 5), lastEntry);
+  }
+
+  function openLeaderboard() {
+    boardTabs.forEach(b => b.setAttribute("aria-selected", String(b.dataset.tab === boardTab)));
+    leaderboardTitle.textContent = boardTab === "maze"
+      ? `This maze (${mazeSeed})`
+      : `All ${DIFFICULTIES[difficulty].label} mazes`;
+    renderBoard(leaderboardList, boardEntries(boardTab), lastEntry);
+    leaderboardModal.hidden = false;
+  }
+
+  function closeLeaderboard() {
+    leaderboardModal.hidden = true;
+  }
+
+  playerNameInput.addEventListener("change", () => {
+    const name = playerNameInput.value.trim().slice(0, 24);
+    scores.name = name;
+    if (lastEntry) lastEntry.name = name;
+    saveScores();
+    renderScorecardBoard();
+  });
+
+  boardBtn.addEventListener("click", () => { openLeaderboard(); boardBtn.blur(); });
+  houseBoardBtn.addEventListener("click", openLeaderboard);
+  leaderboardClose.addEventListener("click", closeLeaderboard);
+  leaderboardModal.addEventListener("click", (e) => { if (e.target === leaderboardModal) closeLeaderboard(); });
+  window.addEventListener("keydown", (e) => { if (e.key === "Escape" && !leaderboardModal.hidden) closeLeaderboard(); });
+  boardTabs.forEach(b => b.addEventListener("click", () => { boardTab = b.dataset.tab; openLeaderboard(); }));
+
+  // ---------- Best-time ghost ----------
+  // A faint ribbon replays the best recorded run on this exact maze.
+  const GHOST_TICK_MS = 60;
+
+  let ghost = null; // { trail, i, x, y }
+  let ghostTimer = null;
+
+  function startGhost() {
+    stopGhost();
+    const best = boardEntries("maze").find(e => e.trail);
+    if (!best) return;
+
+    ghost = { trail: best.trail, i: 0, x: startCell.x, y: startCell.y };
+    ghostTimer = setInterval(() => {
+      const t = elapsedMs();
+      let moved = false;
+      while (ghost.i < ghost.trail.length && ghost.trail[ghost.i][0] <= t) {
+        const to = followTrail(ghost, ghost.trail[ghost.i][1]);
+        moved = moved || !sameCell(to, ghost);
+        ghost.x = to.x;
+        ghost.y = to.y;
+        ghost.i++;
+      }
+      if (moved) spritesDirty = true;
+    }, GHOST_TICK_MS);
+  }
+
+  function stopGhost() {
+    if (ghostTimer) clearInterval(ghostTimer);
+    ghostTimer = null;
+    ghost = null;
+  }
+
+  function drawGhost() {
+    if (fogEnabled && !isLit(ghost.x, ghost.y)) return;
+    ctx.save();
+    ctx.globalAlpha = 0.3;
+    drawEmojiAtCell(ghost.x, ghost.y, cfg("playerEmoji"), 0.8);
+    ctx.restore();
+  }
+
+  // =========================================================
+  //  REPLAYS
+  //  A replay is the run's trail (every successful move, with
+  //  its time) plus what it takes to rebuild the maze. Exported
+  //  as compact JSON:
+  //    { v, seed, d(ifficulty), a(lgo), o(bjective), n(ame),
+  //      ms: total time, t: [ms since the previous step], m: "udlrs" }
+  //  ("s" = caught by a monster, back to START.)
+  //  Playback rebuilds the maze from the seed and walks the trail
+  //  forward, keeping the ribbon, pickups and heatmap up to date;
+  //  scrubbing back rewinds to START and walks again, so the
+  //  scrubber can jump anywhere. Monsters and fog sit it out.
+  // =========================================================
+  const REPLAY_VERSION = 1;
+  const REPLAY_SPEEDS = [1, 2, 4, 8];
+
+  // { data, fog, steps: [{ at, code }], pos, playing, speed, heat, lastT,
+  //   plus where playback has got to: next step, cell, slide, visits }
+  let replay = null;
+
+  function replayFromRun() {
+    let prev = 0;
+    return {
+      v: REPLAY_VERSION,
+      seed: mazeSeed,
+      d: difficulty,
+      a: mazeAlgo,
+      o: objectiveId,
+      n: scores.name || "",
+      ms: Math.round(run.elapsedMs),
+      t: run.trail.map(([at]) => { const dt = at - prev; prev = at; return dt; }),
+      m: run.trail.map(([, code]) => code).join("")
+    };
+  }
+
+  // throws with a friendly message when the JSON isn't a replay
+  function parseReplay(text) {
+    let r;
+    try { r = JSON.parse(text); } catch (_) { throw new Error("That isn't replay JSON 🤔"); }
+    if (!r || r.v !== REPLAY_VERSION) throw new Error("Unknown replay version");
+    if (typeof r.seed !== "string" || !r.seed) throw new Error("Replay has no maze code");
+    if (!DIFFICULTIES[r.d] || !MAZE_GENERATORS[r.a] || !OBJECTIVES[r.o]) throw new Error("Replay uses a maze setting this game doesn't know");
+    if (typeof r.m !== "string" || !/^[udlrs]*$/.test(r.m)) throw new Error("Replay moves are garbled");
+    if (!Array.isArray(r.t) || r.t.length !== r.m.length || !r.t.every(n => Number.isInteger(n) && n >= 0)) throw new Error("Replay timings are garbled");
+    if (r.ms !== undefined && !(Number.isFinite(r.ms) && r.ms >= 0)) throw new Error("Replay timings are garbled");
+    return {
+      v: r.v, seed: r.seed, d: r.d, a: r.a, o: r.o,
+      n: typeof r.n === "string" ? r.n.slice(0, 24) : "",
+      // the steps say how long it took; a made-up total can't stretch the scrubber
+      ms: r.t.reduce((a, b) => a + b, 0),
+      t: r.t, m: r.m
+    };
+  }
+
+  function replayDuration() {
+    const last = replay.steps[replay.steps.length - 1];
+    return Math.max(replay.data.ms, last ? last.at + MOVE_MS : 0);
+  }
+
+  function startReplay(data) {
+    stopReplay(false);
+    closeReplayDialog();
+
+    // leave the house (if we're there) for the maze screen
+    scorecard.classList.remove("show");
+    screenHouse.classList.remove("screen--active");
+    screenMaze.classList.add("screen--active");
+    startRenderLoop();
+    stopHearts();
+
+    difficulty = data.d;
+    mazeAlgo = data.a;
+    objectiveId = data.o;
+    difficultySelect.value = difficulty;
+    objectiveSelect.value = objectiveId;
+    const fog = fogEnabled;
+    fogEnabled = false; // the whole maze is on show
+    updateFogBtn();
+    initGame(true, data.seed, false);
+    stopMonsterLoop();
+    gameFinished = false;
+
+    let at = 0;
+    replay = {
+      data,
+      fog,
+      steps: [...data.m].map((code, i) => ({ at: (at += data.t[i]), code })),
+      pos: 0,
+      playing: true,
+      speed: 1,
+      heat: true,
+      lastT: 0
+    };
+
+    replayBar.hidden = false;
+    replayScrub.max = String(Math.ceil(replayDuration()));
+    replayTitle.textContent = `📼 ${data.n || "Someone"} · ${DIFFICULTIES[data.d].label} ${data.seed}`;
+    updateReplayBar();
+    applyReplayAt(0);
+    if (audioCtx && soundEnabled) startMazeMusic();
+  }
+
+  // leave playback; back to the saved run if there is one, else a fresh go
+  function stopReplay(restore = true) {
+    if (!replay) return;
+    const seed = replay.data.seed;
+    fogEnabled = replay.fog;
+    updateFogBtn();
+    replay = null;
+    replayBar.hidden = true;
+    if (!restore) return;
+
+    const save = loadSave();
+    if (save) resumeRun(save);
+    else {
+      initGame(true, seed);
+      showToast("Your turn! Same maze 🎀");
+    }
+  }
+
+  // back to before the first step: nothing walked, nothing picked up
+  function rewindReplay() {
+    items.forEach(it => { it.taken = false; });
+    player.inventory = [];
+    player.unlocked = items.length === 0;
+    updateExitUI();
+
+    const x = startCell.x, y = startCell.y;
+    Object.assign(replay, { next: 0, moves: 0, x, y, fromX: x, fromY: y, at: 0, code: null });
+    replay.visits = Array.from({ length: rows }, () => Array(cols).fill(0));
+    replay.visits[y][x] = 1;
+    replay.heatMax = 1;
+    requestDraw();
+  }
+
+  // ribbon, pickups and heatmap as they were `ms` into the run. Plays
+  // on from the last step applied; only scrubbing backwards starts over.
+  function applyReplayAt(ms) {
+    const s = replay.steps;
+    if (!replay.visits || (replay.next > 0 && s[replay.next - 1].at > ms)) rewindReplay();
+
+    for (; replay.next < s.length && s[replay.next].at <= ms; replay.next++) {
+      const step = s[replay.next];
+      if (step.code !== TRAIL_START) replay.moves++;
+      const to = followTrail({ x: replay.x, y: replay.y }, step.code);
+      if (!isWalkable(to.x, to.y)) continue; // corrupt step: skip it
+      Object.assign(replay, { fromX: replay.x, fromY: replay.y, x: to.x, y: to.y, at: step.at, code: step.code });
+
+      const n = ++replay.visits[to.y][to.x];
+      if (n > replay.heatMax) {
+        replay.heatMax = n; // every cell's shade is relative to this
+        if (replay.heat) requestDraw();
+      } else {
+        markCellDirty(to.x, to.y);
+      }
+
+      // same rules as collectItem, minus the fanfare
+      const item = itemAt(to.x, to.y);
+      const next = nextOrderedItem();
+      if (item && (!next || next === item)) {
+        item.taken = true;
+        player.inventory.push(item.emoji);
+        player.unlocked = items.every(it => it.taken);
+        updateExitUI();
+        requestDraw();
+      }
+    }
+
+    // slide in, same ease as a live move (teleports just jump)
+    const p = Math.min(1, (ms - replay.at) / MOVE_MS);
+    const e = replay.code === TRAIL_START ? 1 : 1 - Math.pow(1 - p, 3);
+    const px = replay.fromX + (replay.x - replay.fromX) * e;
+    const py = replay.fromY + (replay.y - replay.fromY) * e;
+    if (px !== player.px || py !== player.py) spritesDirty = true;
+
+    player.cellX = replay.x;
+    player.cellY = replay.y;
+    player.px = px;
+    player.py = py;
+    updateMood();
+    runPill.textContent = `📼 ${formatTime(ms)} · 👣 ${replay.moves}`;
+  }
+
+  // called by the game loop
+  function stepReplay(t) {
+    if (!replay) return;
+    const dt = replay.lastT ? t - replay.lastT : 0;
+    replay.lastT = t;
+    if (!replay.playing) return;
+
+    replay.pos = Math.min(replayDuration(), replay.pos + dt * replay.speed);
+    if (replay.pos >= replayDuration()) replay.playing = false;
+    applyReplayAt(replay.pos);
+    updateReplayBar();
+  }
+
+  function updateReplayBar() {
+    replayPlayBtn.textContent = replay.playing ? "⏸" : "▶";
+    replayPlayBtn.setAttribute("aria-label", replay.playing ? "Pause" : "Play");
+    replaySpeedBtn.textContent = `${replay.speed}×`;
+    replayHeatBtn.setAttribute("aria-pressed", String(replay.heat));
+    replayScrub.value = String(Math.round(replay.pos));
+    replayTime.textContent = `${formatTime(replay.pos)} / ${formatTime(replayDuration())}`;
+  }
+
+  // rects: the screen boxes being repainted (null = all of it)
+  function drawHeatmap(rects) {
+    const v = replay.visits;
+    const glow = theme().canvas.glow;
+    // only the cells under the boxes, not the whole grid every frame
+    let x1 = 0, y1 = 0, x2 = cols - 1, y2 = rows - 1;
+    if (rects) {
+      x1 = Math.max(0, Math.floor((Math.min(...rects.map(r => r.x)) - offsetX) / cellSize));
+      y1 = Math.max(0, Math.floor((Math.min(...rects.map(r => r.y)) - offsetY) / cellSize));
+      x2 = Math.min(cols - 1, Math.floor((Math.max(...rects.map(r => r.x + r.w)) - offsetX) / cellSize));
+      y2 = Math.min(rows - 1, Math.floor((Math.max(...rects.map(r => r.y + r.h)) - offsetY) / cellSize));
+    }
+    ctx.save();
+    for (let y = y1; y <= y2; y++) {
+      for (let x = x1; x <= x2; x++) {
+        if (!v[y][x]) continue;
+        ctx.fillStyle = `rgba(${glow},${0.15 + 0.55 * (v[y][x] / replay.heatMax)})`;
+        ctx.fillRect(x * cellSize, y * cellSize, cellSize, cellSize);
+      }
+    }
+    ctx.restore();
+  }
+
+  replayPlayBtn.addEventListener("click", () => {
+    if (!replay.playing && replay.pos >= replayDuration()) replay.pos = 0; // play again from the top
+    replay.playing = !replay.playing;
+    updateReplayBar();
+  });
+  replaySpeedBtn.addEventListener("click", () => {
+    replay.speed = REPLAY_SPEEDS[(REPLAY_SPEEDS.indexOf(replay.speed) + 1) % REPLAY_SPEEDS.length];
+    updateReplayBar();
+  });
+  replayHeatBtn.addEventListener("click", () => {
+    replay.heat = !replay.heat;
+    updateReplayBar();
+    requestDraw();
+  });
+  replayScrub.addEventListener("input", () => {
+    replay.pos = Number(replayScrub.value);
+    applyReplayAt(replay.pos);
+    updateReplayBar();
+  });
+  replayExportBtn.addEventListener("click", () => openReplayDialog(replay.data));
+  replayCloseBtn.addEventListener("click", () => stopReplay());
+
+  // ---------- Import / export dialog ----------
+  function openReplayDialog(data = null) {
+    replayJson.value = data ? JSON.stringify(data) : "";
+    replayError.textContent = "";
+    replayDownloadBtn.disabled = replayCopyBtn.disabled = !data;
+    replayModal.hidden = false;
+  }
+
+  function closeReplayDialog() {
+    replayModal.hidden = true;
+  }
+
+  replaysBtn.addEventListener("click", () => { openReplayDialog(replay ? replay.data : null); replaysBtn.blur(); });
+  houseReplayBtn.addEventListener("click", () => {
+    unlockAudioOnce();
+    if (run.trail.length) startReplay(replayFromRun());
+  });
+  replayModalClose.addEventListener("click", closeReplayDialog);
+  replayModal.addEventListener("click", (e) => { if (e.target === replayModal) closeReplayDialog(); });
+
+  replayJson.addEventListener("input", () => {
+    replayError.textContent = "";
+    replayDownloadBtn.disabled = replayCopyBtn.disabled = !replayJson.value.trim();
+  });
+
+  replayWatchBtn.addEventListener("click", () => {
+    try {
+      startReplay(parseReplay(replayJson.value));
+    } catch (err) {
+      replayError.textContent = err.message;
+    }
+  });
+
+  replayCopyBtn.addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(replayJson.value);
+      replayError.textContent = "Copied ✅ Send it over!";
+    } catch (_) {
+      replayJson.select();
+      replayError.textContent = "Select + copy the JSON above";
+    }
+  });
+
+  replayDownloadBtn.addEventListener("click", () => {
+    let name = "replay";
+    try { name = `replay-${parseReplay(replayJson.value).seed}`; } catch (_) { }
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(new Blob([replayJson.value], { type: "application/json" }));
+    a.download = `${name}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  });
+
+  replayFile.addEventListener("change", async () => {
+    const file = replayFile.files[0];
+    if (!file) return;
+    replayJson.value = await file.text();
+    replayFile.value = "";
+    replayJson.dispatchEvent(new Event("input"));
+  });
+
+  // ---------- Finish flow ----------
+  function finishMaze() {
+    if (gameFinished) return;
+    gameFinished = true;
+    stopMonsterLoop();
+    stopRunClock();
+    recordRun();
+    saveHouse(); // the run is done; only the house is left to come back to
+
+    popSparklesAtCell(exitCell.x, exitCell.y);
+    if (audioCtx && soundEnabled) victorySting();
+
+    screenMaze.classList.add("fade-out");
+    setTimeout(() => {
+      screenMaze.classList.remove("screen--active", "fade-out");
+      screenHouse.classList.add("screen--active", "fade-in");
+      setTimeout(() => screenHouse.classList.remove("fade-in"), 600);
+
+      // switch sound to romantic
+      if (audioCtx && soundEnabled) startHouseMusic();
+
+      runHouseSequence();
+    }, 520);
+  }
+
+  // =========================================================
+  //  SAVE + RESUME (localStorage)
+  //  Every landed step writes the whole run: the grid itself (so
+  //  a save survives generator changes), key cells, items,
+  //  monsters, the ribbon, fog memory and stats. On load a save
+  //  offers "Continue".
+  //  Finishing swaps it for a small house save (just the screen
+  //  and whether the envelope is open), so a reload brings you
+  //  back to the letter; a new maze, or the restart buttons,
+  //  clear it.
+  // =========================================================
+  const SAVE_KEY = "hhm.save";
+  const SAVE_VERSION = 1;
+
+  function gridToRows(grid) {
+    return grid.map(r => r.map(v => (v ? "1" : "0")).join(""));
+  }
+
+  function rowsToGrid(list) {
+    return list.map(r => [...r].map(ch => (ch === "1" ? 1 : 0)));
+  }
+
+  function snapshotRun() {
+    return {
+      version: SAVE_VERSION,
+      savedAt: Date.now(),
+      screen: "maze",
+      seed: mazeSeed,
+      difficulty,
+      algo: mazeAlgo,
+      objective: objectiveId,
+      haunted: hauntedMode,
+      fog: fogEnabled,
+      grid: gridToRows(maze),
+      start: { x: startCell.x, y: startCell.y },
+      exit: { x: exitCell.x, y: exitCell.y },
+      items: items.map(({ x, y, base, order, taken }) => ({ x, y, base, order, taken })),
+      monsters: monsters.map(({ x, y, kind, dir }) => ({ x, y, kind, dir })),
+      monsterTick,
+      lives,
+      player: { x: player.cellX, y: player.cellY },
+      inventory: player.inventory.slice(),
+      unlocked: player.unlocked,
+      seen: gridToRows(seenCells),
+      run: { elapsedMs: Math.round(elapsedMs()), moves: run.moves, bumps: run.bumps, trail: run.trail },
+      hintsUsed
+    };
+  }
+
+  function saveRun() {
+    if (!maze.length || replay || gameFinished || !run.moves) return;
+    try { localStorage.setItem(SAVE_KEY, JSON.stringify(snapshotRun())); } catch (_) { }
+  }
+
+  // the run data is gone by now; the house only needs the envelope
+  function saveHouse() {
+    const s = { version: SAVE_VERSION, savedAt: Date.now(), screen: "house", envelope: envelopeBtn.classList.contains("open") ? "open" : "closed" };
+    try { localStorage.setItem(SAVE_KEY, JSON.stringify(s)); } catch (_) { }
+  }
+
+  function clearSave() {
+    try { localStorage.removeItem(SAVE_KEY); } catch (_) { }
+  }
+
+  // anything off about a save (old version, wrong shape) => no save
+  function loadSave() {
+    try {
+      const s = JSON.parse(localStorage.getItem(SAVE_KEY));
+      return validSave(s) ? s : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // the whole shape resumeRun + describeSave rely on, so neither can
+  // trip over a damaged save halfway through
+  function validSave(s) {
+    if (!s || typeof s !== "object" || s.version !== SAVE_VERSION) return false;
+    if (s.screen === "house") return s.envelope === "open" || s.envelope === "closed";
+    if (s.screen !== undefined && s.screen !== "maze") return false;
+    if (typeof s.seed !== "string" || !DIFFICULTIES[s.difficulty] || !MAZE_GENERATORS[s.algo] || !OBJECTIVES[s.objective]) return false;
+
+    const rowsOk = (list) => Array.isArray(list) && list.length > 0 &&
+      list.every(r => typeof r === "string" && /^[01]+$/.test(r) && r.length === list[0].length);
+    if (!rowsOk(s.grid)) return false;
+    if (s.seen !== undefined && !(rowsOk(s.seen) && s.seen.length === s.grid.length && s.seen[0].length === s.grid[0].length)) return false;
+
+    const w = s.grid[0].length;
+    const count = (n) => Number.isInteger(n) && n >= 0;
+    const inside = (c) => !!c && typeof c === "object" && count(c.x) && count(c.y) && c.x < w && c.y < s.grid.length;
+    // and not stuck in a wall
+    const open = (c) => inside(c) && s.grid[c.y][c.x] === "0";
+    if (![s.start, s.exit, s.player].every(open)) return false;
+
+    if (!Array.isArray(s.items) || !s.items.every(it => (it.taken ? inside(it) : open(it)) && typeof it.base === "string" && count(it.order) && typeof it.taken === "boolean")) return false;
+    if (!Array.isArray(s.monsters) || !s.monsters.every(m => open(m) && typeof m.kind === "string" &&
+      (m.dir == null || (typeof m.dir === "object" && Number.isInteger(m.dir.dx) && Number.isInteger(m.dir.dy))))) return false;
+    if (!Array.isArray(s.inventory) || !s.inventory.every(e => typeof e === "string")) return false;
+
+    const r = s.run;
+    if (!r || typeof r !== "object" || !Number.isFinite(r.elapsedMs) || r.elapsedMs < 0 || !count(r.moves) || !count(r.bumps)) return false;
+    if (!Array.isArray(r.trail) || !r.trail.every(t => Array.isArray(t) && Number.isFinite(t[0]) && typeof t[1] === "string")) return false;
+    return true;
+  }
+
+  function resumeRun(s) {
+    if (s.screen === "house") {
+      resumeHouse(s.envelope === "open");
+      return;
+    }
+
+    difficulty = s.difficulty;
+    mazeAlgo = s.algo;
+    objectiveId = s.objective;
+    difficultySelect.value = difficulty;
+    objectiveSelect.value = objectiveId;
+    hauntedMode = !!s.haunted;
+    fogEnabled = !!s.fog;
+    updateHauntBtn();
+    updateFogBtn();
+
+    // regenerate for the seed/URL/HUD, then lay the saved state on top
+    initGame(true, s.seed);
+
+    maze = rowsToGrid(s.grid);
+    rows = maze.length;
+    cols = maze[0].length;
+    mazeStats = analyzeMaze(maze);
+    updateStatsUI();
+
+    startCell = { ...s.start };
+    exitCell = { ...s.exit };
+    items = s.items.map(it => ({ ...it, emoji: it.base === "🍬" ? cfg("itemEmoji") : it.base }));
+    monsters = s.monsters.filter(m => MONSTER_TYPES[m.kind]).map(m => ({
+      x: m.x, y: m.y, px: m.x, py: m.y,
+      kind: m.kind,
+      emoji: theme().emoji[m.kind],
+      brain: MONSTER_TYPES[m.kind].brain,
+      dir: m.dir || null,
+      anim: null
+    }));
+    monsterTick = s.monsterTick || 0;
+    lives = Math.min(MAX_LIVES, Math.max(1, s.lives || MAX_LIVES));
+
+    player.cellX = player.px = s.player.x;
+    player.cellY = player.py = s.player.y;
+    player.inventory = s.inventory.slice();
+    player.unlocked = !!s.unlocked;
+
+    seenCells = rowsToGrid(s.seen || []).map(r => r.map(Boolean));
+    if (seenCells.length !== rows) seenCells = Array.from({ length: rows }, () => Array(cols).fill(false));
+    litFrom = null;
+    updateFog();
+
+    run.optimal = optimalRouteLength();
+    run.elapsedMs = s.run.elapsedMs || 0; // the clock picks up from here on the next move
+    run.moves = s.run.moves || 0;
+    run.bumps = s.run.bumps || 0;
+    run.trail = Array.isArray(s.run.trail) ? s.run.trail : [];
+    hintsUsed = s.hintsUsed || 0;
+
+    updateHintBtn();
+    updateRunHUD();
+    updateLivesUI();
+    updateExitUI();
+    updateMood();
+    resetCamera();
+    fitCanvas();
+
+    saveRun();
+  }
+
+  // straight back to the house, no fade or finish fanfare (and no
+  // scorecard: that run's numbers weren't kept)
+  function resumeHouse(envelopeOpen) {
+    gameFinished = true;
+    stopMonsterLoop();
+    scorecard.classList.remove("show");
+    screenMaze.classList.remove("screen--active");
+    screenHouse.classList.add("screen--active");
+    if (audioCtx && soundEnabled) startHouseMusic();
+    runHouseSequence(false);
+    if (envelopeOpen && !lockedLetter) envelopeBtn.classList.add("show", "open");
+  }
+
+  function describeSave(s) {
+    if (s.screen === "house") return "At the house 💌";
+    const found = s.items.filter(it => it.taken).length;
+    return `${DIFFICULTIES[s.difficulty].label} maze ${s.seed} — ${formatTime(s.run.elapsedMs || 0)} · 👣 ${s.run.moves} · ${found}/${s.items.length} collected`;
+  }
+
+  function offerResume(s) {
+    resumeText.textContent = describeSave(s);
+    resumeModal.hidden = false;
+    resumeContinueBtn.focus();
+
+    resumeContinueBtn.onclick = () => {
+      resumeModal.hidden = true;
+      resumeRun(s);
+    };
+    resumeFreshBtn.onclick = () => {
+      resumeModal.hidden = true;
+      clearSave();
+    };
+  }
+
+  // the clock only ticks while playing; catch the last bit on the way out
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") saveRun();
+  });
+
+  // =========================================================
+  //  THEMES
+  //  A theme is the whole look + feel of a run:
+  //   canvas:   colours the canvas renderer paints with
+  //   walls:    wall texture (solid | brick | confetti | stripes)
+  //   emoji:    player, collectible, goal and one per monster kind
+  //   hearts:   what floats up on the house screen
+  //   css:      custom properties for the page + house screen
+  //   music:    maze melody + house chords
+  //   defaults: letter text used when the config leaves it empty
+  //  Pick one in the creator (saved in the config) or with ?theme=.
+  // =========================================================
+  const THEMES = {
+    valentine: {
+      label: "Valentine 💘",
+      canvas: { background: "#fff", wall: "#000", detail: "#000", badgeFill: "#fff", badgeStroke: "#000", badgeText: "#000", label: "#000", glow: "255,79,184" },
+      walls: "solid",
+      emoji: { player: "🎀", item: "🍬", goal: "🏚️", ghost: "👻", imp: "😈", spider: "🕷️", zombie: "🧟", bat: "🦇" },
+      hearts: ["💗", "💗", "💗", "💛"],
+      css: { "--bg": "#0b0b10", "--pink": "#ff4fb8", "--pink2": "#ff7bd1", "--warm": "#ffd7b0", "--glow-rgb": "255,79,184", "--warm-rgb": "255,215,176", "--house-top": "#140b18", "--maze-bg": "#fff", "--maze-wall": "#000" },
+      music: {
+        maze: { bpm: 150, base: 330, scale: [0, 2, 4, 7, 9], wave: "square" }, // E4-ish pentatonic
+        house: {
+          bpm: 86,
+          chords: [
+            [261.63, 329.63, 392.00], // C E G
+            [293.66, 369.99, 440.00], // D F# A (sweet bright)
+            [329.63, 415.30, 493.88], // E G# B
+            [293.66, 349.23, 440.00] // D F A
+          ]
+        }
+      },
+      defaults: {
+        houseName: "Elijah’s House",
+        subtitle: "I was starting to think you needed a map line to find me. 🤣🤣",
+        thanks: "Thank you for finishing the maze 💌",
+        letter: `Happy Valentine’s Day, my love ❤️
+
+Being with you isn’t just about the cute moments or the sweet words, it’s about the future we’re building together. You make me want to dream bigger, work harder, and become better every single day.
+
+I don’t just want memories with you… I want goals with you, plans with you, wins with you, and even the struggles, because everything feels lighter when we face it side by side.
+
+Thank you for choosing me, for believing in us, and for staying committed through everything. I promise to keep choosing you too, not just today, but every day, in every season of life.
+
+You’re not just my Valentine.
+You’re my partner, my safe place, and my forever teammate. 💛
+
+I love you always.`,
+      }
+    },
+    halloween: {
+      label: "Halloween 🎃",
+      canvas: { background: "#f3e9d8", wall: "#2b1a33", detail: "#4d3159", badgeFill: "#fff7e8", badgeStroke: "#2b1a33", badgeText: "#2b1a33", label: "#2b1a33", glow: "255,140,26" },
+      walls: "brick",
+      emoji: { player: "🎃", item: "🍭", goal: "🏚️", ghost: "👻", imp: "😈", spider: "🕷️", zombie: "🧟", bat: "🦇" },
+      hearts: ["🦇", "🎃", "🕸️"],
+      css: { "--bg": "#0d0a08", "--pink": "#ff8c1a", "--pink2": "#ffb25e", "--warm": "#ffd28a", "--glow-rgb": "255,140,26", "--warm-rgb": "255,210,138", "--house-top": "#1a0f08", "--maze-bg": "#f3e9d8", "--maze-wall": "#2b1a33" },
+      music: {
+        maze: { bpm: 132, base: 220, scale: [0, 3, 5, 6, 7, 10], wave: "sawtooth" }, // A minor blues
+        house: {
+          bpm: 72,
+          chords: [
+            [220.00, 261.63, 329.63], // Am
+            [174.61, 220.00, 261.63], // F
+            [146.83, 174.61, 220.00], // Dm
+            [164.81, 207.65, 246.94] // E
+          ]
+        }
+      },
+      defaults: {
+        houseName: "The Haunted House",
+        subtitle: "You made it out alive… barely. 👻",
+        thanks: "Thank you for braving the maze 🎃",
+        letter: `Happy Halloween! 🎃
+
+You walked past ghosts, bats and at least one very slow zombie to get here. That's true courage (or a serious candy habit).
+
+Grab a blanket, pick a scary movie, and let's see who screams first.
+
+Boo! 👻`
+      }
+    },
+    birthday: {
+      label: "Birthday 🎂",
+      canvas: { background: "#fffdf5", wall: "#3b2a7a", detail: "#ffd166", badgeFill: "#fff", badgeStroke: "#3b2a7a", badgeText: "#3b2a7a", label: "#3b2a7a", glow: "64,196,255" },
+      walls: "confetti",
+      emoji: { player: "🎈", item: "🎁", goal: "🎂", ghost: "👾", imp: "🤡", spider: "🐝", zombie: "🦖", bat: "🦋" },
+      hearts: ["🎉", "🎈", "✨", "🎊"],
+      css: { "--bg": "#0a0b14", "--pink": "#40c4ff", "--pink2": "#8be0ff", "--warm": "#ffd166", "--glow-rgb": "64,196,255", "--warm-rgb": "255,209,102", "--house-top": "#0d1130", "--maze-bg": "#fffdf5", "--maze-wall": "#3b2a7a" },
+      music: {
+        maze: { bpm: 168, base: 392, scale: [0, 2, 4, 5, 7, 9, 11], wave: "triangle" }, // G major
+        house: {
+          bpm: 96,
+          chords: [
+            [261.63, 329.63, 392.00], // C
+            [349.23, 440.00, 523.25], // F
+            [392.00, 493.88, 587.33], // G
+            [261.63, 329.63, 392.00] // C
+          ]
+        }
+      },
+      defaults: {
+        houseName: "The Party House",
+        subtitle: "Surprise! You found the party 🎉",
+        thanks: "Thank you for finishing the maze 🎂",
+        letter: `Happy Birthday! 🎂
+
+Another trip around the sun, and you're still the best part of every party.
+
+Make a wish, eat the biggest slice, and let's make this year the best one yet.
+
+Love, always 🎈`
+      }
+    },
+    christmas: {
+      label: "Christmas 🎄",
+      canvas: { background: "#f4fbff", wall: "#b3122e", detail: "#fff", badgeFill: "#fff", badgeStroke: "#0f5132", badgeText: "#0f5132", label: "#0f5132", glow: "46,204,113" },
+      walls: "stripes",
+      emoji: { player: "🎅", item: "🍪", goal: "🎄", ghost: "❄️", imp: "🧝", spider: "🕷️", zombie: "☃️", bat: "🦉" },
+      hearts: ["❄️", "⭐", "❄️", "🎁"],
+      css: { "--bg": "#060d0a", "--pink": "#2ecc71", "--pink2": "#7be3a4", "--warm": "#ffe9a8", "--glow-rgb": "46,204,113", "--warm-rgb": "255,233,168", "--house-top": "#061a10", "--maze-bg": "#f4fbff", "--maze-wall": "#b3122e" },
+      music: {
+        maze: { bpm: 120, base: 392, scale: [0, 2, 4, 7, 9, 12], wave: "triangle" }, // sleigh bells-ish
+        house: {
+          bpm: 80,
+          chords: [
+            [196.00, 246.94, 293.66], // G
+            [261.63, 329.63, 392.00], // C
+            [293.66, 369.99, 440.00], // D
+            [196.00, 246.94, 293.66] // G
+          ]
+        }
+      },
+      defaults: {
+        houseName: "The Cozy Cabin",
+        subtitle: "Just in time for cocoa ☕",
+        thanks: "Thank you for finishing the maze 🎄",
+        letter: `Merry Christmas! 🎄
+
+The best gift this year was getting to spend it with you.
+
+Let's light the fire, hang one more ornament than we need, and stay up too late.
+
+With all my love ❄️`
+      }
+    }
+  };
+  const DEFAULT_THEME = "valentine";
+
+  function theme() {
+    return THEMES[config.theme] || THEMES[DEFAULT_THEME];
+  }
+
+  // =========================================================
+  //  PERSONALIZATION (creator screen → config)
+  //  Everything Valentine-specific lives in one config object.
+  //  The creator screen edits it, saves it to localStorage and
+  //  shows it as JSON; the game reads it at startup and uses it
+  //  for the house screen and the canvas labels.
+  //  Empty text/emoji fields mean "use the theme's default".
+  // =========================================================
+  const CONFIG_KEY = "hhm.config";
+
+  const DEFAULT_CONFIG = {
+    theme: DEFAULT_THEME,
+    recipient: "",
+    sender: "",
+    houseName: "",
+    subtitle: "",
+    thanks: "",
+    letter: "",
+    playerEmoji: "",
+    itemEmoji: ""
+  };
+
+  // the value the game actually shows for a config field
+  function cfg(key) {
+    if (config[key]) return config[key];
+    const t = theme();
+    if (key === "playerEmoji") return t.emoji.player;
+    if (key === "itemEmoji") return t.emoji.item;
+    return t.defaults[key] || "";
+  }
+
+  // max lengths double as the list of text fields
+  const CONFIG_LIMITS = { recipient: 40, sender: 40, houseName: 60, subtitle: 160, thanks: 120, letter: 5000 };
+
+  // "" = the theme's own emoji
+  const PLAYER_EMOJI = ["", "🎀", "💖", "🐱", "🦊", "🐻", "🧸", "🐰", "🌹", "⭐", "🎈", "🎃", "🎅"];
+  const ITEM_EMOJI = ["", "🍬", "🍫", "🍭", "🧁", "🍓", "🌹", "💍", "🎁", "💌", "⭐", "🍪"];
+
+  let config = { ...DEFAULT_CONFIG };
+
+  // anything unknown or malformed falls back to the default
+  function sanitizeConfig(raw) {
+    const out = { ...DEFAULT_CONFIG };
+    if (!raw || typeof raw !== "object") return out;
+
+    Object.entries(CONFIG_LIMITS).forEach(([key, max]) => {
+      if (typeof raw[key] === "string") out[key] = raw[key].slice(0, max);
+    });
+    if (THEMES[raw.theme]) out.theme = raw.theme;
+    if (PLAYER_EMOJI.includes(raw.playerEmoji)) out.playerEmoji = raw.playerEmoji;
+    if (ITEM_EMOJI.includes(raw.itemEmoji)) out.itemEmoji = raw.itemEmoji;
+    return out;
+  }
 
-    // tempo
-    const bpm = 150;
-    const stepMs = Math.floor((60_000 / bpm) / 2); // 8th notes
+  function loadConfig() {
+    try { return sanitizeConfig(JSON.parse(localStorage.getItem(CONFIG_KEY))); } catch (_) { }
+    return { ...DEFAULT_CONFIG };
+  }
 
-    const scale = [0, 2, 4, 7, 9]; // pentatonic-ish
-    const base = 330; // E4-ish
+  function saveConfig() {
+    try { localStorage.setItem(CONFIG_KEY, JSON.stringify(config)); } catch (_) { }
+  }
 
-    mazeSongTimer = setInterval(() => {
-      // beat
-      if (mazeTick % 2 === 0) kick(0.06);
+  // "candy 🍬" for the classic game, just the emoji otherwise
+  function itemLabel() {
+    return cfg("itemEmoji") === "🍬" ? "candy 🍬" : cfg("itemEmoji");
+  }
 
-      // melody
-      const deg = scale[(mazeTick + (mazeTick >> 2)) % scale.length];
-      const freq = base * Math.pow(2, deg / 12);
+  function applyConfig() {
+    applyTheme();
+
+    const house = cfg("houseName");
+    houseTitle.textContent = house;
+    houseSubtitle.textContent = cfg("subtitle");
+    houseSubtitle.hidden = !cfg("subtitle");
+    thanksText.textContent = cfg("thanks");
+    letterBody.textContent = lockedLetter ? "" : cfg("letter");
+    letterTitle.textContent = config.recipient ? `💌 To ${config.recipient}` : "💌";
+    letterSign.textContent = config.sender ? `— ${config.sender}` : "";
+    screenHouse.setAttribute("aria-label", `${house} Screen`);
+    movePill.textContent = `${cfg("playerEmoji")} Move with arrows (or touch buttons)`;
+
+    // items + monsters already on the board pick up the new emoji too
+    items.forEach(it => { if (it.base === "🍬") it.emoji = cfg("itemEmoji"); });
+    monsters.forEach(m => { m.emoji = theme().emoji[m.kind]; });
+    updateExitUI();
+    requestDraw();
+  }
 
-      // occasional higher note for “exciting”
-      const up = (mazeTick % 8 === 6) ? 12 : 0;
-      blip(freq * Math.pow(2, up / 12), 0.07, "square", 0.05);
+  function applyTheme() {
+    const t = theme();
+    Object.entries(t.css).forEach(([prop, value]) => document.documentElement.style.setProperty(prop, value));
+    document.documentElement.dataset.theme = config.theme;
+    wallPattern = brickTile = null; // rebuilt lazily for the new texture
+    staticValid = false;
+  }
 
-      mazeTick++;
-    }, stepMs);
+  // ---------- Creator screen ----------
+  function buildEmojiPicker(el, options, selected, onPick) {
+    el.innerHTML = "";
+    options.forEach(emoji => {
+      const b = document.createElement("button");
+      b.type = "button";
+      b.className = "emoji-pick";
+      b.textContent = emoji || "✨";
+      if (!emoji) b.title = "Theme default";
+      b.setAttribute("role", "radio");
+      b.setAttribute("aria-checked", String(emoji === selected));
+      b.addEventListener("click", () => {
+        el.querySelectorAll(".emoji-pick").forEach(x => x.setAttribute("aria-checked", "false"));
+        b.setAttribute("aria-checked", "true");
+        onPick(emoji);
+      });
+      el.appendChild(b);
+    });
   }
 
-  // ROMANTIC HOUSE MUSIC (soft pad)
-  function startHouseMusic() {
-    if (!audioCtx || !soundEnabled) return;
-    stopAllAudio();
-    houseTick = 0;
-
-    const bpm = 86;
-    const stepMs = Math.floor((60_000 / bpm)); // quarter notes
-    const chords = [
-      [261.63, 329.63, 392.00], // C E G
-      [293.66, 369.99, 440.00], // D F# A (sweet bright)
-      [329.63, 415.30, 493.88], // E G# B
-      [293.66, 349.23, 440.00], // D F A
-    ];
+  let draftConfig = null;
 
-    function padChord(freqs) {
-      const t = audioCtx.currentTime;
-      const master = audioCtx.createGain();
-      master.gain.setValueAtTime(0.0, t);
-      master.gain.linearRampToValueAtTime(0.10, t + 0.25);
-      master.gain.linearRampToValueAtTime(0.0, t + 1.6);
-      master.connect(audioCtx.destination);
-
-      freqs.forEach((f, i) => {
-        const o = audioCtx.createOscillator();
-        o.type = "sine";
-        o.frequency.value = f * (i === 0 ? 1 : 1);
-        const g = audioCtx.createGain();
-        g.gain.value = 0.7;
-        o.connect(g).connect(master);
-        o.start(t);
-        o.stop(t + 1.7);
-        houseNodes.push(o);
-      });
-    }
+  // text a field shows when the config leaves it to the theme
+  function themeText(themeId, key) {
+    return (THEMES[themeId] || THEMES[DEFAULT_THEME]).defaults[key] || "";
+  }
 
-    houseSongTimer = setInterval(() => {
-      padChord(chords[houseTick % chords.length]);
-      houseTick++;
-    }, stepMs * 2);
+  function readCreatorForm() {
+    const raw = { ...draftConfig, theme: creatorForm.elements.theme.value };
+    Object.keys(CONFIG_LIMITS).forEach(key => {
+      const field = creatorForm.elements[key];
+      if (!field) return;
+      // untouched theme text stays "" so a later theme switch swaps it
+      raw[key] = field.value === themeText(raw.theme, key) ? "" : field.value;
+    });
+    return sanitizeConfig(raw);
   }
 
-  function updateSoundBtn() {
-    soundBtn.textContent = soundEnabled ? "🔊 Sound" : "🔇 Sound";
-    soundBtn.setAttribute("aria-pressed", String(soundEnabled));
+  function buildThemePicker(select) {
+    select.innerHTML = "";
+    Object.entries(THEMES).forEach(([id, t]) => {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = t.label;
+      select.appendChild(opt);
+    });
   }
 
-  soundBtn.addEventListener("click", () => {
-    unlockAudioOnce();
-    soundEnabled = !soundEnabled;
-    updateSoundBtn();
-    stopAllAudio();
+  function updateCreatorOutput() {
+    creatorOutput.value = JSON.stringify(readCreatorForm(), null, 2);
+  }
 
-    if (!soundEnabled || !audioCtx) return;
-    if (screenMaze.classList.contains("screen--active")) startMazeMusic();
-    if (screenHouse.classList.contains("screen--active")) startHouseMusic();
-  });
+  function fillCreatorForm(from) {
+    draftConfig = { ...from };
+    creatorForm.elements.theme.value = from.theme;
+    Object.keys(CONFIG_LIMITS).forEach(key => {
+      const field = creatorForm.elements[key];
+      if (field) field.value = from[key] || themeText(from.theme, key);
+    });
+    buildEmojiPicker(playerEmojiPicker, PLAYER_EMOJI, from.playerEmoji, e => { draftConfig.playerEmoji = e; updateCreatorOutput(); });
+    buildEmojiPicker(itemEmojiPicker, ITEM_EMOJI, from.itemEmoji, e => { draftConfig.itemEmoji = e; updateCreatorOutput(); });
+    updateCreatorOutput();
+  }
 
-  // ---------- Movement ----------
-  const MOVE_MS = 120;
-  let queuedDir = null;
+  function openCreator() {
+    buildThemePicker(creatorForm.elements.theme);
+    fillCreatorForm(config);
 
-  function dirToDelta(dir) {
-    if (dir === "up") return { dx: 0, dy: -1 };
-    if (dir === "down") return { dx: 0, dy: 1 };
-    if (dir === "left") return { dx: -1, dy: 0 };
-    if (dir === "right") return { dx: 1, dy: 0 };
-    return null;
+    stopMonsterLoop();
+    document.querySelectorAll(".screen").forEach(sc => sc.classList.remove("screen--active"));
+    screenCreator.classList.add("screen--active", "fade-in");
+    setTimeout(() => screenCreator.classList.remove("fade-in"), 600);
   }
 
-  function tryMove(dir) {
-    if (gameFinished) return;
-    if (player.moving) { queuedDir = dir; return; }
+  function closeCreator() {
+    screenCreator.classList.remove("screen--active");
+    // stale URL flag would reopen the creator on reload
+    const url = new URL(location.href);
+    url.searchParams.delete("create");
+    history.replaceState(null, "", url);
+    resetGame(true);
+  }
 
-    const d = dirToDelta(dir);
-    if (!d) return;
+  // the JSON box is editable too: typing there mustn't rewrite it
+  creatorForm.addEventListener("input", (e) => {
+    if (e.target !== creatorOutput) updateCreatorOutput();
+  });
 
-    const nx = player.cellX + d.dx;
-    const ny = player.cellY + d.dy;
-    if (!isWalkable(nx, ny)) return;
+  // switching theme swaps any text that was still the old theme's default
+  creatorForm.elements.theme.addEventListener("change", () => {
+    const next = creatorForm.elements.theme.value;
+    Object.keys(CONFIG_LIMITS).forEach(key => {
+      const field = creatorForm.elements[key];
+      if (field && (field.value === themeText(draftConfig.theme, key) || !field.value)) field.value = themeText(next, key);
+    });
+    draftConfig.theme = next;
+    updateCreatorOutput();
+  });
 
-    player.moving = true;
-    queuedDir = null;
+  creatorForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    config = readCreatorForm();
+    saveConfig();
+    applyConfig();
+    closeCreator();
+    showToast("Saved 💌 Your maze is ready");
+  });
 
-    const sx = player.cellX, sy = player.cellY;
-    const ex = nx, ey = ny;
-    const startT = performance.now();
+  creatorResetBtn.addEventListener("click", () => {
+    config = { ...DEFAULT_CONFIG };
+    try { localStorage.removeItem(CONFIG_KEY); } catch (_) { }
+    openCreator();
+  });
 
-    player.cellX = ex;
-    player.cellY = ey;
+  creatorCancelBtn.addEventListener("click", closeCreator);
 
-    const animate = (t) => {
-      const p = Math.min(1, (t - startT) / MOVE_MS);
-      const e = 1 - Math.pow(1 - p, 3);
+  creatorCopyBtn.addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(creatorOutput.value);
+      creatorCopyBtn.textContent = "Copied ✅";
+    } catch (_) {
+      creatorOutput.select();
+      creatorCopyBtn.textContent = "Select + copy ⬇";
+    }
+    setTimeout(() => { creatorCopyBtn.textContent = "Copy config"; }, 1400);
+  });
 
-      player.px = sx + (ex - sx) * e;
-      player.py = sy + (ey - sy) * e;
+  // pasted JSON fills the form; nothing is saved until "Save & play"
+  creatorLoadBtn.addEventListener("click", () => {
+    let raw;
+    try { raw = JSON.parse(creatorOutput.value); } catch (_) { }
+    if (!raw || typeof raw !== "object") {
+      showToast("That isn't config JSON 🤔");
+      return;
+    }
+    fillCreatorForm(sanitizeConfig(raw));
+    showToast("Config loaded ✨ Save & play to keep it");
+  });
 
-      draw();
+  createBtn.addEventListener("click", () => { openCreator(); createBtn.blur(); });
 
-      if (p < 1) {
-        requestAnimationFrame(animate);
-      } else {
-        player.px = ex;
-        player.py = ey;
-        player.moving = false;
-
-        // candy pickup
-        if (!player.hasCandy && player.cellX === candyCell.x && player.cellY === candyCell.y) {
-          player.hasCandy = true;
-          updateExitUI();
-          popSparklesAtCell(candyCell.x, candyCell.y);
-          showToast("Candy collected! 🍬 EXIT unlocked ✅");
-          // little celebration blips
-          if (audioCtx && soundEnabled) { blip(660, 0.06, "square", 0.07); blip(880, 0.06, "square", 0.07); }
-        }
+  // =========================================================
+  //  SHARE LINKS (#m=...)
+  //  The whole personalized run (config + maze settings) packed
+  //  into the URL fragment: JSON → deflate → base64url. Fragments
+  //  never reach a server, so no backend is needed.
+  //  With a passphrase, the letter is AES-GCM encrypted (key from
+  //  PBKDF2) and only decrypts after the maze is finished.
+  // =========================================================
+  const SHARE_PARAM = "m";
+  const SHARE_VERSION = 1;
+  const SHARE_MAX_LENGTH = 60000; // way past any sane letter, stops garbage early
+  const SHARE_MAX_BYTES = 65536;  // same idea for the JSON once inflated
+  const PBKDF2_ITERATIONS = 150000;
+
+  let lockedLetter = null; // { s, i, d } until the recipient unlocks it
+
+  function toBase64Url(bytes) {
+    let bin = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
 
-        // exit must have candy
-        if (player.cellX === exitCell.x && player.cellY === exitCell.y) {
-          if (!player.hasCandy) {
-            showToast("Find the candy 🍬 first!");
-          } else {
-            finishMaze();
-            return;
-          }
-        }
+  function fromBase64Url(str) {
+    const bin = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+    return Uint8Array.from(bin, ch => ch.charCodeAt(0));
+  }
 
-        if (queuedDir) {
-          const next = queuedDir;
-          queuedDir = null;
-          tryMove(next);
-        }
+  // maxBytes: give up as soon as the output passes it (a tiny link
+  // can inflate to something huge)
+  async function pipeBytes(bytes, transform, maxBytes = Infinity) {
+    const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      size += value.length;
+      if (size > maxBytes) {
+        reader.cancel().catch(() => { });
+        throw new Error("share link too long");
       }
-    };
-
-    requestAnimationFrame(animate);
+      chunks.push(value);
+    }
+    return new Uint8Array(await new Blob(chunks).arrayBuffer());
   }
 
-  // ---------- Finish flow ----------
-  function finishMaze() {
-    if (gameFinished) return;
-    gameFinished = true;
+  // "z" + deflated when the browser can, "j" + plain JSON otherwise
+  async function packPayload(payload) {
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    if (typeof CompressionStream === "function") {
+      return "z" + toBase64Url(await pipeBytes(bytes, new CompressionStream("deflate-raw")));
+    }
+    return "j" + toBase64Url(bytes);
+  }
 
-    popSparklesAtCell(exitCell.x, exitCell.y);
+  async function unpackPayload(packed) {
+    const kind = packed[0];
+    let bytes = fromBase64Url(packed.slice(1));
+    if (kind === "z") bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"), SHARE_MAX_BYTES);
+    else if (kind !== "j") throw new Error("unknown share format");
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
 
-    screenMaze.classList.add("fade-out");
-    setTimeout(() => {
-      screenMaze.classList.remove("screen--active", "fade-out");
-      screenHouse.classList.add("screen--active", "fade-in");
-      setTimeout(() => screenHouse.classList.remove("fade-in"), 600);
+  async function deriveKey(passphrase, salt) {
+    const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", salt, iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+      base,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
 
-      // switch sound to romantic
-      if (audioCtx && soundEnabled) startHouseMusic();
+  async function encryptText(text, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKey(passphrase, salt);
+    const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(text));
+    return { s: toBase64Url(salt), i: toBase64Url(iv), d: toBase64Url(new Uint8Array(data)) };
+  }
 
-      runHouseSequence();
-    }, 520);
+  // throws on a wrong passphrase (GCM auth fails)
+  async function decryptText(enc, passphrase) {
+    const key = await deriveKey(passphrase, fromBase64Url(enc.s));
+    const data = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64Url(enc.i) }, key, fromBase64Url(enc.d));
+    return new TextDecoder().decode(data);
   }
 
-  // ---------- House sequence ----------
-  const letterText =
-    `Happy Valentine’s Day, my love ❤️
+  // only what differs from the defaults goes into the link
+  async function buildShareLink(config, passphrase) {
+    const c = {};
+    Object.keys(DEFAULT_CONFIG).forEach(key => {
+      if (config[key] !== DEFAULT_CONFIG[key]) c[key] = config[key];
+    });
 
-Being with you isn’t just about the cute moments or the sweet words, it’s about the future we’re building together. You make me want to dream bigger, work harder, and become better every single day.
+    const payload = { v: SHARE_VERSION, s: mazeSeed, d: difficulty, a: mazeAlgo, o: objectiveId, c };
+    if (passphrase) {
+      payload.e = await encryptText(config.letter, passphrase);
+      delete c.letter;
+    }
 
-I don’t just want memories with you… I want goals with you, plans with you, wins with you, and even the struggles, because everything feels lighter when we face it side by side.
+    const url = new URL(location.href);
+    url.search = "";
+    url.hash = `${SHARE_PARAM}=${await packPayload(payload)}`;
+    return url.toString();
+  }
 
-Thank you for choosing me, for believing in us, and for staying committed through everything. I promise to keep choosing you too, not just today, but every day, in every season of life.
+  function isEncryptedLetter(e) {
+    return !!e && ["s", "i", "d"].every(k => typeof e[k] === "string" && /^[\w-]+$/.test(e[k]));
+  }
 
-You’re not just my Valentine.
-You’re my partner, my safe place, and my forever teammate. 💛
+  // null = no share link; throws if there is one but it's broken
+  async function readShareLink() {
+    const packed = new URLSearchParams(location.hash.slice(1)).get(SHARE_PARAM);
+    if (!packed) return null;
+    if (packed.length > SHARE_MAX_LENGTH) throw new Error("share link too long");
+
+    const p = await unpackPayload(packed);
+    if (!p || typeof p !== "object" || p.v !== SHARE_VERSION) throw new Error("unsupported share link");
+    if (p.e && !isEncryptedLetter(p.e)) throw new Error("bad encrypted letter");
+
+    return {
+      config: sanitizeConfig({ ...DEFAULT_CONFIG, ...(p.c && typeof p.c === "object" ? p.c : {}) }),
+      seed: typeof p.s === "string" && p.s ? p.s.slice(0, 32) : null,
+      difficulty: DIFFICULTIES[p.d] ? p.d : null,
+      algo: MAZE_GENERATORS[p.a] ? p.a : null,
+      objective: OBJECTIVES[p.o] ? p.o : null,
+      encrypted: p.e || null
+    };
+  }
+
+  shareBtn.addEventListener("click", async () => {
+    shareBtn.disabled = true;
+    try {
+      shareOutput.value = await buildShareLink(readCreatorForm(), sharePassphrase.value);
+      shareOutput.hidden = false;
+      shareOutput.select();
+      try { await navigator.clipboard.writeText(shareOutput.value); shareNote.textContent = "Link copied ✅"; } catch (_) { shareNote.textContent = "Copy the link above ⬆"; }
+      if (sharePassphrase.value) shareNote.textContent += " Send the passphrase separately 🤫";
+    } catch (_) {
+      shareNote.textContent = "Couldn't build the link in this browser 😢";
+    }
+    shareBtn.disabled = false;
+  });
 
-I love you always.`;
+  // ---------- Unlocking an encrypted letter ----------
+  unlockForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    if (!lockedLetter) return;
+    unlockError.textContent = "";
+    try {
+      const text = await decryptText(lockedLetter, unlockInput.value);
+      lockedLetter = null;
+      config.letter = text;
+      letterBody.textContent = text;
+      unlockForm.classList.remove("show");
+      envelopeBtn.classList.add("show");
+      setTimeout(() => envHint.classList.add("show"), 1200);
+    } catch (_) {
+      unlockError.textContent = "That's not it 💔 Try again";
+      unlockInput.select();
+    }
+  });
 
-  function runHouseSequence() {
+  // ---------- House sequence ----------
+  // scored: false when coming back from a house save (no run to show)
+  function runHouseSequence(scored = true) {
     startHearts();
 
     thanksText.classList.remove("show");
     envelopeBtn.classList.remove("show", "open");
     envHint.classList.remove("show");
-    letterBody.textContent = letterText;
+    letterBody.textContent = cfg("letter");
 
+    if (scored) {
+      fillScorecard();
+      renderScorecardBoard();
+      setTimeout(() => scorecard.classList.add("show"), 900);
+    }
     setTimeout(() => thanksText.classList.add("show"), randBetween(2000, 3000));
+
+    // encrypted letter: ask for the passphrase before the envelope shows up
+    if (lockedLetter) {
+      letterBody.textContent = "";
+      setTimeout(() => { unlockForm.classList.add("show"); unlockInput.focus(); }, randBetween(4200, 6000));
+      return;
+    }
     setTimeout(() => envelopeBtn.classList.add("show"), randBetween(4200, 6000));
-    setTimeout(() => envHint.classList.add("show"), randBetween(6500, 9000));
+    setTimeout(() => { if (!envelopeBtn.classList.contains("open")) envHint.classList.add("show"); }, randBetween(6500, 9000));
   }
 
   function randBetween(a, b) { return Math.floor(a + Math.random() * (b - a)); }
@@ -804,7 +4526,12 @@ I love you always.`;
   envelopeBtn.addEventListener("click", () => {
     unlockAudioOnce();
     envelopeBtn.classList.toggle("open");
-    if (envelopeBtn.classList.contains("open")) envHint.classList.remove("show");
+    sfx("envelope");
+    if (envelopeBtn.classList.contains("open")) {
+      envHint.classList.remove("show");
+      setTimeout(() => sfx("unfold"), 250); // the letter slides up after the flap
+    }
+    saveHouse();
   });
 
   // ---------- Restart ----------
@@ -813,10 +4540,18 @@ I love you always.`;
     resetGame();
   });
 
-  function resetGame() {
+  sameMazeBtn.addEventListener("click", () => {
+    unlockAudioOnce();
+    resetGame(true);
+  });
+
+  // sameMaze = replay the current code instead of rolling a new one
+  function resetGame(sameMaze = false) {
+    clearSave(); // a new (or restarted) maze, the old run is gone
+    stopReplay(false);
     gameFinished = false;
-    player.hasCandy = false;
     queuedDir = null;
+    stopTravel();
 
     // stop hearts & audio cleanly
     stopHearts?.();
@@ -825,10 +4560,13 @@ I love you always.`;
     envelopeBtn.classList.remove("open");
     envHint.classList.remove("show");
     thanksText.classList.remove("show");
+    scorecard.classList.remove("show");
+    unlockForm.classList.remove("show");
 
     // Switch screens FIRST (make maze visible)
     screenHouse.classList.remove("screen--active");
     screenMaze.classList.add("screen--active", "fade-in");
+    startRenderLoop();
 
     // Remove fade class after animation
     setTimeout(() => screenMaze.classList.remove("fade-in"), 600);
@@ -836,11 +4574,10 @@ I love you always.`;
     // IMPORTANT: wait for layout to be visible before fitting canvas + regenerating
     requestAnimationFrame(() => {
       // regenerate maze + reposition candy/exit (hard mode)
-      initGame(true);
+      initGame(true, sameMaze ? mazeSeed : null);
 
       // force a proper resize after screen is visible
       fitCanvas();
-      draw();
 
       // back to exciting maze sound
       if (audioCtx && soundEnabled) startMazeMusic();
@@ -848,82 +4585,472 @@ I love you always.`;
   }
 
 
-  // ---------- Input (Mobile controller press/hold) ----------
-  document.querySelectorAll(".ctrl-btn").forEach(btn => {
-    const dir = btn.getAttribute("data-dir");
-    let holdTimer = null;
-    let holding = false;
+  // =========================================================
+  //  INPUT
+  //  One manager for every way of steering. Sources (keys, the
+  //  on-screen d-pad, gamepads) only press and release
+  //  directions; the manager decides which held direction wins
+  //  and repeats it.
+  //   - touch: swipe / tap on the maze (optional), see below
+  //   - auto-run (optional): a press runs down the corridor until
+  //     a junction, dead end, item or monster, like a roguelike
+  //   - keys: arrows, WASD and vim (hjkl) out of the box, all
+  //     remappable in the ⌨️ Keys dialog (saved in localStorage)
+  //   - repeat: one step on press, then every repeatMs once the
+  //     key has been held for delayMs
+  //   - two directions held (e.g. ↑ + →), by `diagonal`:
+  //       newest: the last one pressed wins
+  //       oldest: the first one pressed wins until released
+  //       slide:  newest wins, but if a wall blocks it and the
+  //               other way is open, go that way (rounds corners)
+  // =========================================================
+  const INPUT_KEY = "hhm.input";
+  const DIRS = ["up", "down", "left", "right"];
+
+  const DEFAULT_INPUT = {
+    keys: {
+      up: ["ArrowUp", "KeyW", "KeyK"],
+      down: ["ArrowDown", "KeyS", "KeyJ"],
+      left: ["ArrowLeft", "KeyA", "KeyH"],
+      right: ["ArrowRight", "KeyD", "KeyL"]
+    },
+    delayMs: 110,
+    repeatMs: 110,
+    diagonal: "slide",
+    gestures: true, // swipe + tap on the maze
+    hidePad: false, // ...and then hide the on-screen d-pad
+    autoRun: false  // one press runs to the next junction
+  };
+  const INPUT_LIMITS = { delayMs: [0, 500], repeatMs: [60, 400] };
+  const DIAGONAL_RULES = { newest: "Newest key wins", oldest: "First key wins", slide: "Slide around corners" };
+  const MAX_KEYS_PER_DIR = 4;
+
+  function sanitizeInput(raw) {
+    const out = { ...DEFAULT_INPUT, keys: { ...DEFAULT_INPUT.keys } };
+    if (!raw || typeof raw !== "object") return out;
+
+    if (raw.keys && typeof raw.keys === "object") {
+      DIRS.forEach(dir => {
+        const list = raw.keys[dir];
+        if (Array.isArray(list)) out.keys[dir] = list.filter(k => typeof k === "string" && k).slice(0, MAX_KEYS_PER_DIR);
+      });
+    }
+    Object.entries(INPUT_LIMITS).forEach(([key, [min, max]]) => {
+      if (Number.isFinite(raw[key])) out[key] = Math.min(max, Math.max(min, Math.round(raw[key])));
+    });
+    if (DIAGONAL_RULES[raw.diagonal]) out.diagonal = raw.diagonal;
+    if (typeof raw.gestures === "boolean") out.gestures = raw.gestures;
+    if (typeof raw.hidePad === "boolean") out.hidePad = raw.hidePad;
+    if (typeof raw.autoRun === "boolean") out.autoRun = raw.autoRun;
+    return out;
+  }
 
-    const startHold = (ev) => {
-      ev.preventDefault();
-      unlockAudioOnce();
-      holding = true;
-      tryMove(dir);
-      holdTimer = setInterval(() => { if (holding) tryMove(dir); }, 110);
-    };
+  function loadInput() {
+    try { return sanitizeInput(JSON.parse(localStorage.getItem(INPUT_KEY))); } catch (_) { }
+    return sanitizeInput(null);
+  }
 
-    const endHold = () => {
-      holding = false;
-      if (holdTimer) clearInterval(holdTimer);
-      holdTimer = null;
-    };
+  function saveInput() {
+    try { localStorage.setItem(INPUT_KEY, JSON.stringify(inputSettings)); } catch (_) { }
+  }
 
-    btn.addEventListener("pointerdown", startHold, { passive: false });
-    btn.addEventListener("pointerup", endHold);
-    btn.addEventListener("pointercancel", endHold);
-    btn.addEventListener("pointerleave", endHold);
-  });
+  let inputSettings = loadInput();
+
+  function dirForKey(code) {
+    return DIRS.find(dir => inputSettings.keys[dir].includes(code)) || null;
+  }
+
+  // ---------- Held directions ----------
+  const held = [];            // directions in press order, newest last
+  const holders = new Map();  // direction -> Set of sources holding it
+  let repeatTimer = null;
+
+  function pressDir(source, dir) {
+    if (!holders.has(dir)) holders.set(dir, new Set());
+    const set = holders.get(dir);
+    if (set.has(source)) return;
+    set.add(source);
+    if (set.size > 1) return; // already held by another source
 
-  // ---------- Input (Keyboard arrows with hold-to-move) ----------
-  const heldKeys = new Set();
-  let keyHoldInterval = null;
+    held.push(dir);
+    unlockAudioOnce();
+    stopTravel(); // a real press beats a swipe or tap in progress
+    steer();
+  }
+
+  function releaseDir(source, dir) {
+    const set = holders.get(dir);
+    if (!set || !set.delete(source) || set.size) return;
+    held.splice(held.indexOf(dir), 1);
+    if (!held.length) stopRepeat();
+  }
 
-  function startKeyHoldLoop() {
-    if (keyHoldInterval) return;
-    keyHoldInterval = setInterval(() => {
-      if (!screenMaze.classList.contains("screen--active")) return;
+  function releaseAll() {
+    holders.clear();
+    held.length = 0;
+    stopRepeat();
+  }
+
+  function activeDir() {
+    if (!held.length) return null;
+    const newest = held[held.length - 1];
+    if (inputSettings.diagonal === "oldest") return held[0];
+    if (inputSettings.diagonal === "newest" || held.length === 1) return newest;
 
-      if (heldKeys.has("ArrowUp")) tryMove("up");
-      if (heldKeys.has("ArrowDown")) tryMove("down");
-      if (heldKeys.has("ArrowLeft")) tryMove("left");
-      if (heldKeys.has("ArrowRight")) tryMove("right");
-    }, 110); // matches your mobile hold speed
+    // slide: blocked newest + an open older one => take the open one
+    const open = (dir) => {
+      const d = dirToDelta(dir);
+      return isWalkable(player.cellX + d.dx, player.cellY + d.dy);
+    };
+    if (open(newest)) return newest;
+    for (let i = held.length - 2; i >= 0; i--) if (open(held[i])) return held[i];
+    return newest; // all blocked: bump the way you last pressed
   }
 
-  function stopKeyHoldLoopIfNeeded() {
-    if (heldKeys.size === 0 && keyHoldInterval) {
-      clearInterval(keyHoldInterval);
-      keyHoldInterval = null;
+  // a fresh press moves right away, then waits delayMs before repeating
+  function steer() {
+    const dir = activeDir();
+    if (!dir) return;
+    if (inputSettings.autoRun) {
+      // one press, one run; holding doesn't repeat
+      stopRepeat();
+      if (!gameFinished) runCorridor(dir);
+      return;
     }
+    tryMove(dir);
+    scheduleRepeat(inputSettings.delayMs);
+  }
+
+  function scheduleRepeat(ms) {
+    stopRepeat();
+    repeatTimer = setTimeout(() => {
+      repeatTimer = null;
+      if (modalOpen()) { releaseAll(); return; } // a dialog opened under a held key
+      const dir = activeDir();
+      if (!dir) return;
+      if (screenMaze.classList.contains("screen--active")) tryMove(dir);
+      scheduleRepeat(inputSettings.repeatMs);
+    }, ms);
+  }
+
+  function stopRepeat() {
+    if (repeatTimer) clearTimeout(repeatTimer);
+    repeatTimer = null;
+  }
+
+  // ---------- Sources: keyboard ----------
+  function modalOpen() {
+    return !!document.querySelector(".modal:not([hidden])");
+  }
+
+  function typingInto(el) {
+    return el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.tagName === "SELECT" || el.isContentEditable);
   }
 
   window.addEventListener("keydown", (e) => {
-    if (!screenMaze.classList.contains("screen--active")) return;
-    if (!["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"].includes(e.key)) return;
+    if (modalOpen()) return;
+    if (!screenMaze.classList.contains("screen--active") || typingInto(e.target)) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const dir = dirForKey(e.code);
+    if (!dir) return;
 
     e.preventDefault();
+    if (!e.repeat) pressDir(`key:${e.code}`, dir); // our own repeat, not the OS's
+  }, { passive: false });
+
+  window.addEventListener("keyup", (e) => {
+    const dir = dirForKey(e.code);
+    if (dir) releaseDir(`key:${e.code}`, dir);
+  });
+
+  window.addEventListener("blur", releaseAll);
+
+  // ---------- Sources: on-screen d-pad ----------
+  document.querySelectorAll(".ctrl-btn").forEach(btn => {
+    const dir = btn.getAttribute("data-dir");
+    const source = `pad:${dir}`;
+
+    btn.addEventListener("pointerdown", (ev) => {
+      ev.preventDefault();
+      pressDir(source, dir);
+    }, { passive: false });
+    ["pointerup", "pointercancel", "pointerleave"].forEach(type => {
+      btn.addEventListener(type, () => releaseDir(source, dir));
+    });
+  });
+
+  // ---------- Sources: swipe + tap on the maze ----------
+  // One finger on the canvas: a swipe runs down the corridor to
+  // the next junction, a tap walks to that cell along the shortest
+  // path. Mouse clicks count as taps (dragging pans the camera);
+  // two fingers belong to the camera's pinch.
+  const SWIPE_MIN_PX = 28;
+  const TAP_SLOP_PX = 10;
+  const TAP_MAX_MS = 450;
+
+  let gesture = null; // { id, x, y, t, mouse, multi }
+
+  function cellAtPoint(clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    const scale = viewW / (canvas.clientWidth || viewW);
+    const x = (clientX - rect.left - canvas.clientLeft) * scale;
+    const y = (clientY - rect.top - canvas.clientTop) * scale;
+    return { x: Math.floor((x - offsetX) / cellSize), y: Math.floor((y - offsetY) / cellSize) };
+  }
+
+  function swipe(dir) {
+    if (gameFinished) return;
+    runCorridor(dir);
+  }
+
+  function tapCell(cell) {
+    if (gameFinished || !isWalkable(cell.x, cell.y)) return;
+    if (fogEnabled && !isSeen(cell.x, cell.y)) {
+      showToast("You haven't been that way yet 🏮");
+      return;
+    }
+    const steps = stepsTo(cell);
+    if (steps.length) travel(steps);
+  }
+
+  canvas.addEventListener("pointerdown", (e) => {
+    if (!inputSettings.gestures || (e.pointerType === "mouse" && e.button !== 0)) return;
+    if (gesture) { gesture.multi = true; return; }
+    gesture = { id: e.pointerId, x: e.clientX, y: e.clientY, t: performance.now(), mouse: e.pointerType === "mouse", multi: false };
+  });
+
+  canvas.addEventListener("pointerup", (e) => {
+    const g = gesture;
+    if (!g || g.id !== e.pointerId) {
+      if (pointers.size === 0) gesture = null;
+      return;
+    }
+    gesture = null;
+    if (g.multi) return;
+
+    const dx = e.clientX - g.x, dy = e.clientY - g.y;
+    const dist = Math.hypot(dx, dy);
     unlockAudioOnce();
-    heldKeys.add(e.key);
 
-    // immediate move on first press
-    if (e.repeat === false) {
-      const keyMap = { ArrowUp: "up", ArrowDown: "down", ArrowLeft: "left", ArrowRight: "right" };
-      tryMove(keyMap[e.key]);
+    if (dist <= TAP_SLOP_PX && performance.now() - g.t <= TAP_MAX_MS) {
+      tapCell(cellAtPoint(e.clientX, e.clientY));
+    } else if (!g.mouse && dist >= SWIPE_MIN_PX) {
+      swipe(Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? "right" : "left") : (dy > 0 ? "down" : "up"));
     }
+  });
 
-    startKeyHoldLoop();
-  }, { passive: false });
+  canvas.addEventListener("pointercancel", () => { gesture = null; });
 
-  window.addEventListener("keyup", (e) => {
-    if (!["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"].includes(e.key)) return;
-    heldKeys.delete(e.key);
-    stopKeyHoldLoopIfNeeded();
+  function applyTouchSettings() {
+    document.body.classList.toggle("hide-dpad", inputSettings.gestures && inputSettings.hidePad);
+  }
+
+  // ---------- Sources: gamepad ----------
+  // Polled from the game loop (the Gamepad API has no events for
+  // buttons). D-pad and left stick steer through pressDir like
+  // any key, so holding repeats at the same rate. Face buttons
+  // (standard layout): A opens the envelope, B restarts, X asks
+  // for a hint, Y toggles sound.
+  const STICK_DEADZONE = 0.35;
+  const PAD_DPAD = { 12: "up", 13: "down", 14: "left", 15: "right" };
+  const PAD_ACTIONS = {
+    0: () => { if (screenHouse.classList.contains("screen--active") && envelopeBtn.classList.contains("show")) envelopeBtn.click(); },
+    1: () => { if (screenHouse.classList.contains("screen--active")) restartBtn.click(); }, // never mid-run
+    2: () => { if (screenMaze.classList.contains("screen--active")) hintBtn.click(); },
+    3: () => setSoundEnabled(!soundEnabled)
+  };
+
+  const padButtons = new Map(); // pad index -> buttons pressed last poll
+  let padsConnected = 0;
+
+  window.addEventListener("gamepadconnected", (e) => {
+    padsConnected++;
+    startRenderLoop(); // the house screen has no loop of its own to poll from
+    showToast(`🎮 ${e.gamepad.id.split("(")[0].trim() || "Controller"} connected`);
+  });
+
+  window.addEventListener("gamepaddisconnected", (e) => {
+    padsConnected = Math.max(0, padsConnected - 1);
+    padButtons.delete(e.gamepad.index);
+    DIRS.forEach(dir => releaseDir(`gamepad${e.gamepad.index}`, dir));
   });
 
-  window.addEventListener("blur", () => {
-    heldKeys.clear();
-    stopKeyHoldLoopIfNeeded();
+  function stickDir(pad) {
+    const x = pad.axes[0] || 0, y = pad.axes[1] || 0;
+    if (Math.max(Math.abs(x), Math.abs(y)) < STICK_DEADZONE) return null;
+    if (Math.abs(x) > Math.abs(y)) return x > 0 ? "right" : "left";
+    return y > 0 ? "down" : "up";
+  }
+
+  function pollGamepads() {
+    if (!padsConnected || !navigator.getGamepads) return;
+
+    [...navigator.getGamepads()].forEach(pad => {
+      if (!pad || !pad.connected) return;
+      const source = `gamepad${pad.index}`;
+      const pressed = pad.buttons.map(b => b.pressed);
+      const before = padButtons.get(pad.index) || [];
+      padButtons.set(pad.index, pressed);
+
+      // directions: d-pad buttons or the stick, held = pressed this poll
+      const stick = stickDir(pad);
+      DIRS.forEach(dir => {
+        const button = Object.keys(PAD_DPAD).find(i => PAD_DPAD[i] === dir);
+        if (pressed[button] || stick === dir) {
+          if (!modalOpen()) pressDir(source, dir);
+        } else {
+          releaseDir(source, dir);
+        }
+      });
+
+      // actions fire once per press, and not behind a dialog
+      Object.entries(PAD_ACTIONS).forEach(([i, act]) => {
+        if (pressed[i] && !before[i] && !modalOpen()) {
+          unlockAudioOnce();
+          act();
+        }
+      });
+    });
+  }
+
+  // ---------- Keys dialog (remapping + repeat) ----------
+  let bindingDir = null; // direction waiting for its new key
+
+  function keyLabel(code) {
+    const arrows = { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→" };
+    if (arrows[code]) return arrows[code];
+    return code.replace(/^Key/, "").replace(/^Digit/, "").replace(/^Numpad/, "Num ");
+  }
+
+  function renderKeysDialog() {
+    keysList.innerHTML = "";
+    DIRS.forEach(dir => {
+      const row = document.createElement("li");
+      row.className = "keys__row";
+
+      const name = document.createElement("span");
+      name.className = "keys__dir";
+      name.textContent = { up: "▲ Up", down: "▼ Down", left: "◀ Left", right: "▶ Right" }[dir];
+      row.appendChild(name);
+
+      inputSettings.keys[dir].forEach(code => {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "keys__chip";
+        chip.textContent = keyLabel(code);
+        chip.title = `Remove ${code}`;
+        chip.setAttribute("aria-label", `Remove ${keyLabel(code)} from ${dir}`);
+        chip.addEventListener("click", () => {
+          inputSettings.keys[dir] = inputSettings.keys[dir].filter(k => k !== code);
+          saveInput();
+          renderKeysDialog();
+        });
+        row.appendChild(chip);
+      });
+
+      if (inputSettings.keys[dir].length < MAX_KEYS_PER_DIR) {
+        const add = document.createElement("button");
+        add.type = "button";
+        add.className = "keys__chip keys__chip--add";
+        add.textContent = bindingDir === dir ? "Press a key…" : "+ Add";
+        add.setAttribute("aria-pressed", String(bindingDir === dir));
+        add.addEventListener("click", () => {
+          bindingDir = bindingDir === dir ? null : dir;
+          renderKeysDialog();
+        });
+        row.appendChild(add);
+      }
+      keysList.appendChild(row);
+    });
+
+    keysDelay.value = inputSettings.delayMs;
+    keysRepeat.value = inputSettings.repeatMs;
+    keysDelayOut.textContent = `${inputSettings.delayMs} ms`;
+    keysRepeatOut.textContent = `${inputSettings.repeatMs} ms`;
+    keysDiagonal.value = inputSettings.diagonal;
+    keysGestures.checked = inputSettings.gestures;
+    keysHidePad.checked = inputSettings.hidePad;
+    keysHidePad.disabled = !inputSettings.gestures;
+    keysAutoRun.checked = inputSettings.autoRun;
+    applyTouchSettings();
+  }
+
+  function buildDiagonalPicker() {
+    keysDiagonal.innerHTML = "";
+    Object.entries(DIAGONAL_RULES).forEach(([id, label]) => {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = label;
+      keysDiagonal.appendChild(opt);
+    });
+  }
+
+  function openKeysDialog() {
+    releaseAll();
+    bindingDir = null;
+    renderKeysDialog();
+    keysModal.hidden = false;
+  }
+
+  function closeKeysDialog() {
+    bindingDir = null;
+    keysModal.hidden = true;
+  }
+
+  // the next key pressed while binding goes to that direction (Escape cancels)
+  window.addEventListener("keydown", (e) => {
+    if (!bindingDir) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.code !== "Escape") {
+      // a key steers one way only
+      DIRS.forEach(dir => { inputSettings.keys[dir] = inputSettings.keys[dir].filter(k => k !== e.code); });
+      inputSettings.keys[bindingDir].push(e.code);
+      saveInput();
+    }
+    bindingDir = null;
+    renderKeysDialog();
+  }, true);
+
+  keysDelay.addEventListener("input", () => {
+    inputSettings = sanitizeInput({ ...inputSettings, delayMs: Number(keysDelay.value) });
+    saveInput();
+    renderKeysDialog();
+  });
+  keysRepeat.addEventListener("input", () => {
+    inputSettings = sanitizeInput({ ...inputSettings, repeatMs: Number(keysRepeat.value) });
+    saveInput();
+    renderKeysDialog();
+  });
+  keysDiagonal.addEventListener("change", () => {
+    inputSettings = sanitizeInput({ ...inputSettings, diagonal: keysDiagonal.value });
+    saveInput();
+  });
+  keysGestures.addEventListener("change", () => {
+    inputSettings.gestures = keysGestures.checked;
+    saveInput();
+    renderKeysDialog();
   });
+  keysAutoRun.addEventListener("change", () => {
+    inputSettings.autoRun = keysAutoRun.checked;
+    saveInput();
+  });
+  keysHidePad.addEventListener("change", () => {
+    inputSettings.hidePad = keysHidePad.checked;
+    saveInput();
+    renderKeysDialog();
+  });
+  keysResetBtn.addEventListener("click", () => {
+    inputSettings = sanitizeInput(null);
+    saveInput();
+    bindingDir = null;
+    renderKeysDialog();
+  });
+
+  keysBtn.addEventListener("click", () => { openKeysDialog(); keysBtn.blur(); });
+  keysClose.addEventListener("click", closeKeysDialog);
+  keysModal.addEventListener("click", (e) => { if (e.target === keysModal) closeKeysDialog(); });
+  window.addEventListener("keydown", (e) => { if (e.key === "Escape" && !keysModal.hidden && !bindingDir) closeKeysDialog(); });
 
   // ---------- Hearts ----------
   let heartsInterval = null;
@@ -938,7 +5065,8 @@ I love you always.`;
   function spawnHeart() {
     const h = document.createElement("div");
     h.className = "heart";
-    h.textContent = Math.random() < 0.25 ? "💛" : "💗";
+    const hearts = theme().hearts;
+    h.textContent = hearts[Math.floor(Math.random() * hearts.length)];
     const size = 14 + Math.random() * 18;
     h.style.fontSize = `${size}px`;
     h.style.left = `${Math.random() * 100}%`;
@@ -948,69 +5076,163 @@ I love you always.`;
     setTimeout(() => h.remove(), 11000);
   }
 
+  // ---------- Maze code UI ----------
+  function updateSeedUI() {
+    seedPill.textContent = `🔑 Maze code: ${mazeSeed}`;
+  }
+
+  function updateStatsUI() {
+    statsPill.textContent = `🧭 ${mazeStats.deadEnds} dead ends · ${mazeStats.loops} loops`;
+  }
+
+  seedPill.addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(location.href);
+      showToast("Link to this maze copied 🔗");
+    } catch (_) {
+      showToast(`Maze code: ${mazeSeed}`);
+    }
+  });
+
+  // ---------- Difficulty picker ----------
+  function buildDifficultyPicker() {
+    difficultySelect.innerHTML = "";
+    Object.entries(DIFFICULTIES).forEach(([id, d]) => {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = `${d.label} (${d.cols}×${d.rows})`;
+      difficultySelect.appendChild(opt);
+    });
+    difficultySelect.value = difficulty;
+  }
+
+  difficultySelect.addEventListener("change", () => {
+    difficulty = difficultySelect.value;
+    queuedDir = null;
+    clearSave();
+    stopReplay(false);
+    initGame(true);
+    difficultySelect.blur(); // arrows should move the ribbon, not the picker
+  });
+
+  // ---------- Objective picker ----------
+  function buildObjectivePicker() {
+    objectiveSelect.innerHTML = "";
+    Object.entries(OBJECTIVES).forEach(([id, o]) => {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = `${o.label} ${[...new Set(o.items)].join("")}`;
+      objectiveSelect.appendChild(opt);
+    });
+    objectiveSelect.value = objectiveId;
+  }
+
+  objectiveSelect.addEventListener("change", () => {
+    objectiveId = objectiveSelect.value;
+    queuedDir = null;
+    clearSave();
+    stopReplay(false);
+    initGame(true);
+    objectiveSelect.blur();
+  });
+
   // ---------- Init ----------
-  function initGame(regenerate = false) {
+  // seed: maze code to build; null rolls a fresh one
+  // shareUrl: false leaves the address bar alone (replays aren't your maze)
+  function initGame(regenerate = false, seed = null, shareUrl = true) {
     if (regenerate || maze.length === 0) {
-      maze = generatePerfectMaze(GEN_COLS, GEN_ROWS);
+      mazeSeed = seed || newSeed();
+      rng = createRng(mazeSeed);
+      if (shareUrl) writeMazeToUrl(mazeSeed);
+      updateSeedUI();
+
+      maze = generatePerfectMaze(preset().cols, preset().rows, mazeAlgo);
       rows = maze.length;
       cols = maze[0].length;
+      mazeStats = analyzeMaze(maze);
+      updateStatsUI();
 
       placeKeyCells();
       placeMonsters();
     }
 
+    resetInventory();
+
     // place player at start
     player.cellX = startCell.x;
     player.cellY = startCell.y;
     player.px = startCell.x;
     player.py = startCell.y;
     player.moving = false;
+    player.anim = null;
+    stopTravel();
+
+    resetFog();
+    resetMonsters();
+    resetHints();
+    resetRunStats();
+    startMonsterLoop();
 
     updateExitUI();
+    updateMood();
+    resetCamera();
     fitCanvas();
-    draw();
   }
 
-  // letter
-  letterBody.textContent = letterText;
+  // personalization (saved by the creator screen)
+  config = loadConfig();
 
   // sound
   updateSoundBtn();
 
+  // monsters + lantern
+  updateHauntBtn();
+  updateFogBtn();
+
   // resize
   window.addEventListener("resize", fitCanvas);
 
-  // start game
-  initGame(false);
-})();
-
-// ===============================
-// ADVANCED KEYBOARD CONTROLS
-// ===============================
-const activeKeys = new Set();
-let keyInterval = null;
-
-window.addEventListener("keydown", (e) => {
-  if (!["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"].includes(e.key)) return;
-
-  e.preventDefault();
-  activeKeys.add(e.key);
+  // start game (a ?seed= in the link replays that exact maze;
+  // a #m= share link carries the whole personalized run and wins)
+  async function boot() {
+    mazeAlgo = generatorFromUrl() || DEFAULT_GENERATOR;
+    difficulty = difficultyFromUrl() || DEFAULT_DIFFICULTY;
+    objectiveId = objectiveFromUrl() || DEFAULT_OBJECTIVE;
+    let seed = seedFromUrl();
+
+    let shared = null;
+    try {
+      shared = await readShareLink();
+    } catch (_) {
+      showToast("That share link looks broken 💔 Playing the default maze");
+    }
+    if (shared) {
+      // shared config is used as-is, never saved over the local one
+      config = shared.config;
+      lockedLetter = shared.encrypted;
+      if (lockedLetter) config.letter = ""; // applyConfig won't show the theme's letter either
+      seed = shared.seed || seed;
+      difficulty = shared.difficulty || difficulty;
+      mazeAlgo = shared.algo || mazeAlgo;
+      objectiveId = shared.objective || objectiveId;
+    }
 
-  if (!keyInterval) {
-    keyInterval = setInterval(() => {
-      if (activeKeys.has("ArrowUp")) tryMove("up");
-      if (activeKeys.has("ArrowDown")) tryMove("down");
-      if (activeKeys.has("ArrowLeft")) tryMove("left");
-      if (activeKeys.has("ArrowRight")) tryMove("right");
-    }, 110); // matches mobile hold timing
+    // ?theme= tries a theme for this visit without saving it
+    const urlTheme = new URLSearchParams(location.search).get("theme");
+    if (THEMES[urlTheme]) config.theme = urlTheme;
+
+    applyConfig();
+    buildDifficultyPicker();
+    buildWallStylePicker();
+    buildObjectivePicker();
+    buildDiagonalPicker();
+    applyTouchSettings();
+    if (new URLSearchParams(location.search).has("create")) openCreator();
+    const save = loadSave();
+    initGame(false, seed);
+    startRenderLoop();
+    if (save) offerResume(save);
   }
-});
-
-window.addEventListener("keyup", (e) => {
-  activeKeys.delete(e.key);
 
-  if (activeKeys.size === 0 && keyInterval) {
-    clearInterval(keyInterval);
-    keyInterval = null;
-  }
-});
+  boot();
+})();